@@ -0,0 +1,75 @@
+import ConfigManager from './lib/config.js';
+import Logger from './lib/logger.js';
+import FileManager from './lib/fileManager.js';
+import DownloadManager from './lib/downloadManager.js';
+import DownloadEvents from './lib/downloadEvents.js';
+import ProgressDisplay from './lib/progress.js';
+import NotificationManager from './lib/notifications.js';
+
+// Library entry: importing it parses no arguments and installs no process handlers,
+// the command line lives in jsdownloader.js
+
+export {
+    ConfigManager,
+    Logger,
+    FileManager,
+    DownloadManager,
+    DownloadEvents,
+    ProgressDisplay,
+    NotificationManager
+};
+
+// A download manager that keeps quiet unless asked: options.log prints log messages,
+// options.progress draws progress bars and options.notifications sends desktop notifications.
+// The configuration is options.config, the file at options.configPath, or the usual one.
+export function createDownloadManager(options = {}) {
+    const config = options.config || new ConfigManager(options.configPath);
+    if (!options.log) {
+        config.set('logging', 'console', false);
+    }
+
+    const downloadManager = new DownloadManager(config, options.logger || new Logger(config), new FileManager(config));
+
+    if (options.progress) {
+        new ProgressDisplay(config).attach(downloadManager);
+    }
+    if (options.notifications) {
+        new NotificationManager(config).attach(downloadManager);
+    }
+
+    return downloadManager;
+}
+
+// Downloads one URL and resolves with { destination, stats, ... }. Besides the options of
+// createDownloadManager it takes those of a single download (downloadDir, filename, checksum,
+// mirrors, headers, ...) and onProgress, called with each progress event of this download.
+export async function download(url, options = {}) {
+    const { config, configPath, logger, log, progress, notifications, onProgress, ...downloadOptions } = options;
+    const downloadManager = createDownloadManager({ config, configPath, logger, log, progress, notifications });
+
+    if (onProgress) {
+        downloadManager.on('progress', onProgress);
+    }
+
+    try {
+        return await downloadManager.downloadSingle(url, downloadOptions);
+    } finally {
+        downloadManager.cleanup();
+    }
+}
+
+// One URL (HTTP, FTP or SFTP) as a readable stream; retries happen behind it and a broken
+// transfer continues where it stopped. Takes the same options as download(), apart from
+// the ones that name a file.
+export function createReadStream(url, options = {}) {
+    const { config, configPath, logger, log, progress, notifications, onProgress, ...streamOptions } = options;
+    const downloadManager = createDownloadManager({ config, configPath, logger, log, progress, notifications });
+
+    if (onProgress) {
+        downloadManager.on('progress', onProgress);
+    }
+
+    const stream = downloadManager.createReadStream(url, streamOptions);
+    stream.once('close', () => downloadManager.cleanup());
+    return stream;
+}
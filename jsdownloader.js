@@ -21,16 +21,27 @@ process.on('unhandledRejection', (reason, promise) => {
     process.exit(1);
 });
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\nReceived SIGINT. Gracefully shutting down...');
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    console.log('\nReceived SIGTERM. Gracefully shutting down...');
-    process.exit(0);
-});
+// The first signal stops the downloads with their progress saved, a second one quits at once
+let stopping = false;
+const shutdown = (signal) => {
+    if (stopping) {
+        console.error('\nForcing exit');
+        process.exit(1);
+    }
+    stopping = true;
+
+    console.error(`\nReceived ${signal}. Saving progress, press Ctrl-C again to quit immediately...`);
+    cli.shutdown().then(
+        () => process.exit(signal === 'SIGINT' ? 130 : 143),
+        (error) => {
+            console.error('Shutdown failed:', error.message);
+            process.exit(1);
+        }
+    );
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Initialize and run CLI
 const cli = new CLI(packageJson.version);
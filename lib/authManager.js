@@ -0,0 +1,214 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { URL } from 'url';
+
+const DIGEST_HASHES = {
+    'md5': 'md5',
+    'md5-sess': 'md5',
+    'sha-256': 'sha256',
+    'sha-256-sess': 'sha256',
+    'sha-512-256': 'sha512-256',
+    'sha-512-256-sess': 'sha512-256'
+};
+
+class AuthManager {
+    constructor(config) {
+        this.config = config;
+        this.challenges = new Map();
+        this.netrc = null;
+    }
+
+    getCredentials(url, options = {}) {
+        const urlObj = new URL(url);
+
+        if (options.bearerToken) {
+            return { token: options.bearerToken };
+        }
+
+        if (options.auth) {
+            return options.auth;
+        }
+
+        if (urlObj.username) {
+            return {
+                username: decodeURIComponent(urlObj.username),
+                password: decodeURIComponent(urlObj.password)
+            };
+        }
+
+        return this.lookupNetrc(urlObj.hostname);
+    }
+
+    getNetrcPath() {
+        const httpConfig = this.config.get('protocols', 'http') || {};
+
+        if (httpConfig.netrc === false) {
+            return null;
+        }
+
+        return httpConfig.netrcFile || process.env.NETRC || path.join(os.homedir(), '.netrc');
+    }
+
+    lookupNetrc(hostname) {
+        if (!this.netrc) {
+            const netrcPath = this.getNetrcPath();
+
+            try {
+                this.netrc = netrcPath && fs.existsSync(netrcPath)
+                    ? this.parseNetrc(fs.readFileSync(netrcPath, 'utf8'))
+                    : new Map();
+            } catch (error) {
+                this.netrc = new Map();
+            }
+        }
+
+        return this.netrc.get(hostname.toLowerCase()) || this.netrc.get('default') || null;
+    }
+
+    parseNetrc(content) {
+        const machines = new Map();
+        const tokens = content
+            .split('\n')
+            .filter(line => !line.trim().startsWith('#'))
+            .join('\n')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        let current = null;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token === 'machine') {
+                current = { username: '', password: '' };
+                machines.set(tokens[++i].toLowerCase(), current);
+            } else if (token === 'default') {
+                current = { username: '', password: '' };
+                machines.set('default', current);
+            } else if (token === 'login' && current) {
+                current.username = tokens[++i];
+            } else if (token === 'password' && current) {
+                current.password = tokens[++i];
+            } else if (token === 'account') {
+                i++;
+            } else if (token === 'macdef') {
+                // Macro bodies run until a blank line, which the tokenizer cannot see
+                current = null;
+            }
+        }
+
+        return machines;
+    }
+
+    getAuthorization(url, method, credentials) {
+        if (!credentials) {
+            return null;
+        }
+
+        if (credentials.token) {
+            return `Bearer ${credentials.token}`;
+        }
+
+        // Only answer once the server has told us which scheme it wants
+        const challenge = this.challenges.get(new URL(url).origin);
+        if (!challenge) {
+            return null;
+        }
+
+        if (challenge.scheme === 'digest') {
+            return this.buildDigestAuthorization(url, method, credentials, challenge);
+        }
+
+        const encoded = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+        return `Basic ${encoded}`;
+    }
+
+    handleChallenge(url, header, credentials) {
+        if (!credentials || credentials.token || !header) {
+            return false;
+        }
+
+        const challenges = this.parseChallenges(header);
+        const digest = challenges.find(challenge =>
+            challenge.scheme === 'digest' && DIGEST_HASHES[(challenge.params.algorithm || 'md5').toLowerCase()]);
+        const basic = challenges.find(challenge => challenge.scheme === 'basic');
+        const chosen = digest || basic;
+
+        if (!chosen) {
+            return false;
+        }
+
+        this.challenges.set(new URL(url).origin, { ...chosen, nc: 0 });
+        return true;
+    }
+
+    parseChallenges(header) {
+        // Several challenges may share one header, e.g. 'Digest realm="a", nonce="b", Basic realm="a"'
+        const schemePattern = /(?:^|,)\s*([A-Za-z][\w-]*)(?=\s+[\w-]+=|\s*(?:,|$))/g;
+        const schemes = [];
+        let match;
+
+        while ((match = schemePattern.exec(header)) !== null) {
+            schemes.push({
+                scheme: match[1].toLowerCase(),
+                start: match.index,
+                paramsStart: match.index + match[0].length
+            });
+        }
+
+        return schemes.map((entry, i) => {
+            const section = header.slice(entry.paramsStart, schemes[i + 1]?.start ?? header.length);
+            const paramPattern = /([\w-]+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))/g;
+            const params = {};
+
+            while ((match = paramPattern.exec(section)) !== null) {
+                params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+            }
+
+            return { scheme: entry.scheme, params };
+        });
+    }
+
+    buildDigestAuthorization(url, method, credentials, challenge) {
+        const { params } = challenge;
+        const algorithm = (params.algorithm || 'MD5').toLowerCase();
+        const hash = (value) => crypto.createHash(DIGEST_HASHES[algorithm]).update(value).digest('hex');
+
+        const urlObj = new URL(url);
+        const uri = urlObj.pathname + urlObj.search;
+        const qop = params.qop?.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+        const cnonce = crypto.randomBytes(8).toString('hex');
+        const nc = (++challenge.nc).toString(16).padStart(8, '0');
+
+        let ha1 = hash(`${credentials.username}:${params.realm}:${credentials.password}`);
+        if (algorithm.endsWith('-sess')) {
+            ha1 = hash(`${ha1}:${params.nonce}:${cnonce}`);
+        }
+        const ha2 = hash(`${method}:${uri}`);
+
+        const response = qop
+            ? hash(`${ha1}:${params.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+            : hash(`${ha1}:${params.nonce}:${ha2}`);
+
+        const fields = [
+            `username="${credentials.username}"`,
+            `realm="${params.realm}"`,
+            `nonce="${params.nonce}"`,
+            `uri="${uri}"`,
+            `algorithm=${params.algorithm || 'MD5'}`,
+            `response="${response}"`
+        ];
+
+        if (qop) {
+            fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+        }
+        if (params.opaque) {
+            fields.push(`opaque="${params.opaque}"`);
+        }
+
+        return `Digest ${fields.join(', ')}`;
+    }
+}
+
+export default AuthManager;
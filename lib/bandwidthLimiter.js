@@ -0,0 +1,111 @@
+import { Transform } from 'stream';
+
+class TokenBucket {
+    constructor(rate = 0) {
+        this.rate = rate;
+        this.tokens = rate;
+        this.lastRefill = Date.now();
+    }
+
+    setRate(rate) {
+        this.refill();
+        this.rate = rate;
+        this.tokens = Math.min(this.tokens, rate);
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.rate, this.tokens + elapsed * this.rate);
+        this.lastRefill = now;
+    }
+
+    take(bytes) {
+        if (!this.rate) {
+            return Promise.resolve();
+        }
+
+        // Tokens may go negative: every caller waits for the debt it adds,
+        // which spreads the rate fairly across concurrent streams
+        this.refill();
+        this.tokens -= bytes;
+
+        if (this.tokens >= 0) {
+            return Promise.resolve();
+        }
+
+        const delay = (-this.tokens / this.rate) * 1000;
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+class BandwidthLimiter {
+    constructor(config) {
+        this.config = config;
+        this.global = new TokenBucket(this.getDownloadLimit());
+        this.buckets = new Map();
+    }
+
+    isEnabled() {
+        return Boolean(this.config.get('bandwidth', 'enabled'));
+    }
+
+    // Limits are configured in KB/s, buckets work in bytes/s
+    getDownloadLimit() {
+        if (!this.isEnabled()) return 0;
+        return (this.config.get('bandwidth', 'downloadLimit') || 0) * 1024;
+    }
+
+    getUploadLimit() {
+        if (!this.isEnabled()) return 0;
+        return (this.config.get('bandwidth', 'uploadLimit') || 0) * 1024;
+    }
+
+    getPerDownloadLimit() {
+        if (!this.isEnabled()) return 0;
+        return (this.config.get('bandwidth', 'perDownloadLimit') || 0) * 1024;
+    }
+
+    setDownloadLimit(bytesPerSecond) {
+        this.global.setRate(bytesPerSecond);
+    }
+
+    register(downloadId, rate = null) {
+        const limit = rate ?? this.getPerDownloadLimit();
+        this.buckets.set(downloadId, new TokenBucket(limit));
+    }
+
+    unregister(downloadId) {
+        this.buckets.delete(downloadId);
+    }
+
+    async consume(downloadId, bytes) {
+        await this.global.take(bytes);
+
+        const bucket = this.buckets.get(downloadId);
+        if (bucket) {
+            await bucket.take(bytes);
+        }
+    }
+
+    throttle(downloadId) {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.consume(downloadId, chunk.length).then(() => callback(null, chunk), callback);
+            }
+        });
+    }
+
+    static parseRate(value) {
+        // Accepts plain bytes per second or a K/M/G suffix, e.g. "500K" or "1.5M"
+        const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(value).trim());
+        if (!match) {
+            throw new Error(`Invalid rate: ${value}`);
+        }
+
+        const multipliers = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+    }
+}
+
+export default BandwidthLimiter;
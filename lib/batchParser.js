@@ -0,0 +1,362 @@
+import path from 'path';
+import YAML from 'yaml';
+import SchedulingPolicy from './schedulingPolicy.js';
+import MetalinkParser from './metalinkParser.js';
+
+const HASH_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+
+class BatchParser {
+    constructor(fileManager, logger, protocolRegistry) {
+        this.fileManager = fileManager;
+        this.logger = logger;
+        this.protocolRegistry = protocolRegistry;
+        this.metalinkParser = new MetalinkParser();
+    }
+
+    parse(content) {
+        const format = this.detectFormat(content);
+        this.logger.debug('Batch format detected', { format });
+
+        const records = {
+            json: () => this.parseManifest(this.parseJson(content)),
+            yaml: () => this.parseManifest(this.parseYaml(content)),
+            csv: () => this.parseCsv(content),
+            text: () => this.parseText(content),
+            metalink: () => this.parseMetalink(content)
+        }[format]();
+
+        return records
+            .map(record => this.normalizeRecord(record))
+            .filter(Boolean);
+    }
+
+    detectFormat(content) {
+        if (MetalinkParser.isMetalink(content)) {
+            return 'metalink';
+        }
+
+        const trimmed = content.replace(/^\uFEFF/, '').trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return 'json';
+        }
+
+        const firstLine = trimmed.split('\n')
+            .map(line => line.trim())
+            .find(line => line && !line.startsWith('#') && !line.startsWith('//')) || '';
+
+        // A YAML document marker, a list item or a top-level key such as "downloads:"
+        if (/^(---|-\s|[\w-]+:(\s|$))/.test(firstLine)) {
+            return 'yaml';
+        }
+
+        // CSV needs a header row naming the url column
+        if (firstLine.includes(',') && this.splitCsvLine(firstLine).some(column => column.trim().toLowerCase() === 'url')) {
+            return 'csv';
+        }
+
+        return 'text';
+    }
+
+    // aria2-style input: a line of tab-separated URLs (the first is the primary, the rest
+    // mirrors) followed by indented key=value lines; inline annotations are also accepted
+    parseText(content) {
+        const records = [];
+        let current = null;
+
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.replace(/\r$/, '');
+            const trimmed = line.trim();
+
+            // Skip empty lines and comments
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('//')) {
+                continue;
+            }
+
+            // An indented key=value line is an option of the URL above; any other indented
+            // line is a URL, as plain lists with leading whitespace were always accepted
+            if (/^\s/.test(line) && /^[a-z][\w-]*\s*=/i.test(trimmed)) {
+                if (!current) {
+                    this.logger.warn('Option line without a URL skipped', { line: trimmed });
+                    continue;
+                }
+
+                const separator = trimmed.indexOf('=');
+                current.options.push([trimmed.slice(0, separator).trim(), trimmed.slice(separator + 1).trim()]);
+                continue;
+            }
+
+            const uris = [];
+            const options = [];
+            for (const token of trimmed.split(/\s+/)) {
+                // "key=value" tokens are annotations, everything else is a URL (quotes removed)
+                if (/^[a-z][\w-]*=/i.test(token)) {
+                    const separator = token.indexOf('=');
+                    options.push([token.slice(0, separator), token.slice(separator + 1)]);
+                } else {
+                    uris.push(token.replace(/^["']|["']$/g, ''));
+                }
+            }
+
+            current = { url: uris[0], mirrors: uris.slice(1), options };
+            records.push(current);
+        }
+
+        return records;
+    }
+
+    parseJson(content) {
+        try {
+            return JSON.parse(content.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Invalid JSON manifest: ${error.message}`);
+        }
+    }
+
+    parseYaml(content) {
+        try {
+            return YAML.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid YAML manifest: ${error.message}`);
+        }
+    }
+
+    // JSON and YAML manifests are a list of downloads, or an object with a "downloads" list;
+    // each download is a URL string or an object with a url and the same options as text files
+    parseManifest(manifest) {
+        const downloads = Array.isArray(manifest) ? manifest : manifest?.downloads;
+        if (!Array.isArray(downloads)) {
+            throw new Error('Manifest must be a list of downloads or have a "downloads" list');
+        }
+
+        return downloads.map((item) => {
+            if (typeof item === 'string') {
+                return { url: item, mirrors: [], options: [] };
+            }
+
+            const { url, mirrors = [], headers, ...rest } = item || {};
+            const options = Object.entries(rest).map(([key, value]) => [key, value]);
+
+            // Headers may be an object or a list of "Name: value" strings
+            if (Array.isArray(headers)) {
+                headers.forEach(header => options.push(['header', header]));
+            } else if (headers && typeof headers === 'object') {
+                Object.entries(headers).forEach(([name, value]) => options.push(['header', `${name}: ${value}`]));
+            }
+
+            return { url, mirrors: [].concat(mirrors), options };
+        });
+    }
+
+    // Every file of a metalink is one download from its preferred url with the others as
+    // mirrors; its size and hashes travel as options so the result can be checked
+    parseMetalink(content) {
+        return this.metalinkParser.parse(content).map((file) => {
+            const urls = file.urls.map(entry => entry.url);
+            const url = urls.find(candidate => this.protocolRegistry.canHandle(candidate)) ?? urls[0];
+            const options = [['out', file.name]];
+
+            // Names such as "iso/disk1.iso" keep their directory below the download directory
+            const separator = file.name.lastIndexOf('/');
+            if (separator > 0) {
+                options.push(['dir', file.name.slice(0, separator)]);
+            }
+
+            const hash = MetalinkParser.strongest(file.hashes);
+            if (hash) {
+                options.push(['checksum', `${hash.algorithm}:${hash.digest}`]);
+            }
+            if (file.size !== null) {
+                options.push(['size', file.size]);
+            }
+            const pieces = MetalinkParser.strongest(file.pieces);
+            if (pieces) {
+                options.push(['pieces', pieces]);
+            }
+
+            return { url, mirrors: urls.filter(mirror => mirror !== url), options };
+        });
+    }
+
+    parseCsv(content) {
+        const lines = content.replace(/^\uFEFF/, '').split('\n')
+            .map(line => line.replace(/\r$/, ''))
+            .filter(line => line.trim() && !line.trim().startsWith('#'));
+
+        const columns = this.splitCsvLine(lines.shift()).map(column => column.trim().toLowerCase());
+
+        return lines.map((line) => {
+            const values = this.splitCsvLine(line);
+            const record = { url: null, mirrors: [], options: [] };
+
+            columns.forEach((column, index) => {
+                const value = values[index]?.trim();
+                if (!value) {
+                    return;
+                }
+
+                if (column === 'url') {
+                    record.url = value;
+                } else if (column === 'mirrors') {
+                    record.mirrors = value.split(/\s+/);
+                } else {
+                    record.options.push([column, value]);
+                }
+            });
+
+            return record;
+        });
+    }
+
+    splitCsvLine(line) {
+        const values = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(value);
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        values.push(value);
+        return values;
+    }
+
+    normalizeRecord(record) {
+        const { url } = record;
+
+        // Anything a registered protocol handler claims can be downloaded
+        if (typeof url !== 'string' || !this.protocolRegistry.canHandle(url)) {
+            this.logger.warn('Invalid URL skipped', { url });
+            return null;
+        }
+
+        const options = this.parseOptions(record.options, url);
+
+        const mirrors = record.mirrors.filter((mirror) => {
+            if (this.protocolRegistry.canHandle(mirror)) {
+                return true;
+            }
+            this.logger.warn('Invalid mirror skipped', { url, mirror });
+            return false;
+        });
+        if (mirrors.length > 0) {
+            options.mirrors = mirrors;
+        }
+
+        // Piece hashes are only of use when there is one for every piece of the file
+        if (options.pieces && options.size !== undefined &&
+            options.pieces.hashes.length !== Math.ceil(options.size / options.pieces.length)) {
+            this.logger.warn('Piece hashes do not cover the file, ignored', { url });
+            delete options.pieces;
+        }
+
+        return { url, options };
+    }
+
+    parseOptions(entries, url) {
+        const options = {};
+
+        for (const [key, value] of entries) {
+            const name = String(key).toLowerCase();
+
+            try {
+                if (name === 'out') {
+                    options.filename = this.parseFilename(value);
+                } else if (name === 'dir') {
+                    options.subdirectory = this.parseSubdirectory(value);
+                } else if (name === 'checksum') {
+                    options.checksum = this.fileManager.parseChecksum(value);
+                } else if (name === 'checksum-url') {
+                    options.checksumUrl = String(value);
+                } else if (HASH_ALGORITHMS.includes(name)) {
+                    options.checksum = this.fileManager.parseChecksum(value, name);
+                } else if (name === 'header') {
+                    options.headers = { ...options.headers, ...this.parseHeader(value) };
+                } else if (name === 'referer') {
+                    options.headers = { ...options.headers, Referer: String(value) };
+                } else if (name === 'priority') {
+                    options.priority = SchedulingPolicy.normalizePriority(value);
+                } else if (name === 'size') {
+                    options.size = this.parseSize(value);
+                } else if (name === 'pieces') {
+                    options.pieces = this.parsePieces(value);
+                } else {
+                    this.logger.warn('Unknown option ignored', { url, option: name });
+                }
+            } catch (error) {
+                this.logger.warn('Invalid option ignored', { url, option: name, error: error.message });
+            }
+        }
+
+        return options;
+    }
+
+    parseFilename(value) {
+        // Subdirectories belong in "dir", a name such as "../x" must not leave the download directory
+        const filename = this.fileManager.sanitizeFilename(String(value).replace(/\\/g, '/').split('/').pop());
+        if (/^\.*$/.test(filename)) {
+            throw new Error(`Invalid output name: ${value}`);
+        }
+        return filename;
+    }
+
+    parseSubdirectory(value) {
+        // Relative to the download directory and never above it
+        const subdirectory = path.normalize(String(value).replace(/\\/g, '/'));
+        if (path.isAbsolute(subdirectory) || subdirectory.split(path.sep).includes('..')) {
+            throw new Error(`Directory must stay inside the download directory: ${value}`);
+        }
+        return subdirectory;
+    }
+
+    parseSize(value) {
+        const size = Number(value);
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new Error(`Invalid size: ${value}`);
+        }
+        return size;
+    }
+
+    parsePieces(value) {
+        // { algorithm, length, hashes } as read from a metalink, or written by hand in a manifest
+        const algorithm = MetalinkParser.normalizeAlgorithm(value?.algorithm);
+        const length = Number(value?.length);
+        const hashes = Array.isArray(value?.hashes) ? value.hashes.map(hash => String(hash).toLowerCase()) : [];
+
+        if (!algorithm || !Number.isSafeInteger(length) || length <= 0 || hashes.length === 0 ||
+            !hashes.every(hash => /^[a-f0-9]+$/.test(hash))) {
+            throw new Error('Invalid piece hashes: expected an algorithm, a piece length and a list of hashes');
+        }
+
+        return { algorithm, length, hashes };
+    }
+
+    parseHeader(value) {
+        const header = String(value);
+        const separator = header.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Invalid header: ${value}`);
+        }
+
+        return { [header.slice(0, separator).trim()]: header.slice(separator + 1).trim() };
+    }
+}
+
+export default BatchParser;
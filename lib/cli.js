@@ -2,11 +2,16 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream/promises';
 
 class CLI {
     constructor(version) {
         this.program = new Command();
         this.version = version;
+        this.downloadManagers = new Set();
+        this.daemon = null;
+        this.stopping = false;
         this.setupCommands();
     }
 
@@ -14,19 +19,38 @@ class CLI {
         this.program
             .name('jsdownloader')
             .description('Advanced command-line download manager with torrent support')
-            .version(this.version);
+            .version(this.version)
+            .enablePositionalOptions();
 
         // Main download command
         this.program
             .argument('[url]', 'URL to download or path to file containing URLs')
             .option('-o, --output <dir>', 'output directory')
+            .option('-O, --output-document <file>', 'save the download as this file, or write it to standard output with -')
+            .option('-i, --input-file <file>', 'read URLs from this file or URL, or from standard input with -')
             .option('-c, --concurrent <number>', 'maximum concurrent downloads', '3')
+            .option('--max-per-host <number>', 'maximum concurrent downloads from one host (0 = no limit)')
+            .option('--host-delay <ms>', 'wait between starting downloads from the same host')
+            .option('-p, --priority <level>', 'priority: high, normal, low; batch entries with their own keep it')
+            .option('-s, --connections <number>', 'parallel connections per HTTP download')
+            .option('-m, --mirror <url>', 'another URL for the same file, may be repeated', (value, mirrors) => [...mirrors, value], [])
+            .option('--multi-source', 'download different parts of the file from its mirrors at once')
+            .option('--limit-rate <rate>', 'limit total download speed, e.g. 500K or 2M')
             .option('--no-resume', 'disable resume capability')
+            .option('-N, --timestamping', 'only download files that are newer than the local copy')
             .option('--no-notifications', 'disable desktop notifications')
             .option('--sequential', 'download files sequentially instead of concurrently')
             .option('--stop-on-error', 'stop downloading when an error occurs')
             .option('--organize', 'organize downloads by file type')
             .option('--duplicate <action>', 'duplicate file handling: rename, skip, overwrite', 'rename')
+            .option('-u, --user <user:password>', 'credentials for HTTP Basic/Digest authentication')
+            .option('--bearer-token <token>', 'bearer token for HTTP authentication')
+            .option('--netrc-file <file>', 'read credentials from this file instead of ~/.netrc')
+            .option('--no-netrc', 'do not read credentials from .netrc')
+            .option('--checksum <digest>', 'expected checksum, e.g. sha256:<hex>')
+            .option('--checksum-url <url>', 'URL of a .sha256/.md5 file with the expected checksum')
+            .option('--checksums <file>', 'SHA256SUMS-style file or URL to verify downloads against')
+            .option('--no-follow-metalink', 'save .metalink/.meta4 URLs as files instead of downloading what they list')
             .option('-v, --verbose', 'verbose logging')
             .option('-q, --quiet', 'quiet mode (errors only)')
             .action(async (url, options) => {
@@ -65,21 +89,87 @@ class CLI {
 
         historyCmd
             .command('list')
-            .option('-n, --number <count>', 'number of recent downloads to show', '10')
+            .option('-n, --number <count>', 'number of recent downloads to show (0 for all)', '10')
+            .option('--since <date>', 'only downloads since a date or age, e.g. 2024-05-01 or 7d')
+            .option('--until <date>', 'only downloads up to a date or age')
+            .option('--status <status>', 'only completed or failed downloads')
+            .option('--protocol <protocol>', 'only downloads over a protocol, e.g. https or torrent')
+            .option('--search <text>', 'only downloads whose URL, destination or error contains text')
+            .option('--json', 'print records as JSON')
             .description('list recent downloads')
             .action((options) => this.showHistory(options));
 
         historyCmd
             .command('clear')
+            .option('--older-than <age>', 'only remove records older than an age or date, e.g. 30d')
             .description('clear download history')
-            .action(() => this.clearHistory());
+            .action((options) => this.clearHistory(options));
+
+        // Crawl command
+        this.program
+            .command('crawl <url>')
+            .description('download the files linked from a page or directory listing')
+            .option('-o, --output <dir>', 'output directory')
+            .option('-d, --depth <number>', 'how many links deep to follow (default: crawl.depth)')
+            .option('-A, --accept <glob>', 'only download files whose name matches, may be repeated', (value, globs) => [...globs, value], [])
+            .option('-R, --reject <glob>', 'skip files whose name matches, may be repeated', (value, globs) => [...globs, value], [])
+            .option('--accept-regex <regex>', 'only download files whose URL matches')
+            .option('--reject-regex <regex>', 'skip files and pages whose URL matches')
+            .option('--scope <scope>', 'prefix: stay below the start directory, host: anywhere on the host')
+            .option('--no-robots', 'ignore robots.txt')
+            .option('-N, --timestamping', 'only download files that are newer than the local copy')
+            .option('-c, --concurrent <number>', 'maximum concurrent downloads')
+            .option('--list', 'only list the files that would be downloaded')
+            .option('--queue', 'queue the files with the daemon instead of downloading them now')
+            .action((url, options) => this.handleCrawl(url, options));
+
+        // Daemon and queue commands
+        this.program
+            .command('daemon')
+            .description('run the download manager in the background')
+            .option('--foreground', 'run in this terminal instead of detaching')
+            .option('--stop', 'stop a running daemon')
+            .action((options) => this.handleDaemon(options));
 
-        // Status command
         this.program
             .command('status')
-            .description('show active downloads')
+            .description('show queued, active and paused downloads')
             .action(() => this.showStatus());
 
+        this.program
+            .command('add <url>')
+            .description('queue a download with the daemon')
+            .option('-o, --output <dir>', 'output directory')
+            .option('--checksum <digest>', 'expected checksum, e.g. sha256:<hex>')
+            .option('-p, --priority <level>', 'queue priority: high, normal, low', 'normal')
+            .option('--at <time>', 'start at a time such as 23:30, 2h or an ISO date')
+            .option('--window [name]', 'only run inside the configured download windows (or the named one)')
+            .option('-N, --timestamping', 'skip the download when the local copy is up to date')
+            .action((url, options) => this.addDownload(url, options));
+
+        this.program
+            .command('pause <id>')
+            .description('pause a download, keeping its partial data')
+            .action((id) => this.pauseDownload(id));
+
+        this.program
+            .command('resume <id>')
+            .description('resume a paused or failed download')
+            .option('-u, --user <user:password>', 'credentials for HTTP Basic/Digest authentication')
+            .option('--bearer-token <token>', 'bearer token for HTTP authentication')
+            .action((id, options) => this.resumeDownload(id, options));
+
+        this.program
+            .command('cancel <id>')
+            .description('cancel a download and remove its partial data')
+            .action((id) => this.cancelDownload(id));
+
+        this.program
+            .command('concurrency [number]')
+            .description('show or change how many downloads the daemon runs at once (foreground batches take SIGTTIN and SIGTTOU)')
+            .option('--per-host <number>', 'maximum concurrent downloads from one host (0 = no limit)')
+            .action((number, options) => this.setConcurrency(number, options));
+
         // Cleanup command
         this.program
             .command('cleanup')
@@ -87,15 +177,32 @@ class CLI {
             .action(() => this.cleanup());
     }
 
+    async createDownloadManager(config, { progress = true } = {}) {
+        // Import modules dynamically to avoid circular dependencies
+        const { default: Logger } = await import('./logger.js');
+        const { default: ProgressDisplay } = await import('./progress.js');
+        const { default: FileManager } = await import('./fileManager.js');
+        const { default: NotificationManager } = await import('./notifications.js');
+        const { default: DownloadManager } = await import('./downloadManager.js');
+
+        const logger = new Logger(config);
+        const fileManager = new FileManager(config);
+        const downloadManager = new DownloadManager(config, logger, fileManager);
+        this.downloadManagers.add(downloadManager);
+
+        // The terminal shows what the downloads report
+        if (progress) {
+            new ProgressDisplay(config).attach(downloadManager);
+        }
+        new NotificationManager(config).attach(downloadManager);
+
+        return downloadManager;
+    }
+
     async handleDownload(url, options) {
         try {
-            // Import modules dynamically to avoid circular dependencies
             const { default: ConfigManager } = await import('./config.js');
-            const { default: Logger } = await import('./logger.js');
-            const { default: ProgressDisplay } = await import('./progress.js');
-            const { default: FileManager } = await import('./fileManager.js');
-            const { default: NotificationManager } = await import('./notifications.js');
-            const { default: DownloadManager } = await import('./downloadManager.js');
+            const { default: BandwidthLimiter } = await import('./bandwidthLimiter.js');
 
             // Initialize components
             const config = new ConfigManager();
@@ -107,6 +214,25 @@ class CLI {
             if (options.concurrent) {
                 config.set('download', 'maxConcurrent', parseInt(options.concurrent));
             }
+            if (options.maxPerHost !== undefined) {
+                config.set('download', 'maxPerHost', parseInt(options.maxPerHost));
+            }
+            if (options.hostDelay !== undefined) {
+                config.set('download', 'hostDelay', parseInt(options.hostDelay));
+            }
+            if (options.multiSource) {
+                config.set('download', 'multiSource', true);
+            }
+            if (options.timestamping) {
+                config.set('download', 'timestamping', true);
+            }
+            if (options.connections) {
+                config.set('download', 'connections', parseInt(options.connections));
+            }
+            if (options.limitRate) {
+                config.set('bandwidth', 'enabled', true);
+                config.set('bandwidth', 'downloadLimit', BandwidthLimiter.parseRate(options.limitRate) / 1024);
+            }
             if (options.resume === false) {
                 config.set('download', 'enableResume', false);
             }
@@ -119,6 +245,12 @@ class CLI {
             if (options.duplicate) {
                 config.set('download', 'duplicateHandling', options.duplicate);
             }
+            if (options.netrcFile) {
+                config.get('protocols', 'http').netrcFile = options.netrcFile;
+            }
+            if (options.netrc === false) {
+                config.get('protocols', 'http').netrc = false;
+            }
             if (options.verbose) {
                 config.set('logging', 'level', 'debug');
             }
@@ -126,50 +258,280 @@ class CLI {
                 config.set('logging', 'level', 'error');
             }
 
-            const logger = new Logger(config);
-            const progressDisplay = new ProgressDisplay(config);
-            const fileManager = new FileManager(config);
-            const notifications = new NotificationManager(config);
-            const downloadManager = new DownloadManager(config, logger, progressDisplay, fileManager, notifications);
+            // Standard output carries the file itself, so messages go to standard error
+            const toStdout = options.outputDocument === '-';
+            if (toStdout) {
+                config.set('logging', 'console', 'stderr');
+            }
+
+            const downloadManager = await this.createDownloadManager(config, { progress: !toStdout });
 
             // Handle different input types
-            if (!url) {
-                console.log(chalk.red('Error: No URL or file provided'));
-                console.log('Use --help for usage information');
+            if (!url && !options.inputFile) {
+                console.error(chalk.red('Error: No URL or file provided'));
+                console.error('Use --help for usage information');
                 process.exit(1);
             }
+            if (url && options.inputFile) {
+                throw new Error('Give either a URL or --input-file, not both');
+            }
+
+            const checksumList = options.checksums
+                ? await downloadManager.loadChecksumList(options.checksums)
+                : undefined;
+
+            const authOptions = {
+                auth: options.user ? this.parseUser(options.user) : undefined,
+                bearerToken: options.bearerToken
+            };
+
+            // Anything that is not a supported URL but names a local file is a batch, whatever
+            // its format or extension; --input-file says so outright
+            await downloadManager.loadProtocolHandlers();
+            const isBatchFile = Boolean(options.inputFile) ||
+                (!downloadManager.protocolRegistry.canHandle(url) && fs.existsSync(url) && fs.statSync(url).isFile()) ||
+                (options.followMetalink && this.isMetalinkUrl(url));
+
+            if (isBatchFile && options.outputDocument) {
+                throw new Error('--output-document takes a single URL, not a list');
+            }
+
+            const singleOptions = {
+                mirrors: options.mirror.length > 0 ? options.mirror : undefined,
+                checksum: options.checksum,
+                checksumUrl: options.checksumUrl,
+                checksumList,
+                priority: options.priority,
+                ...authOptions
+            };
+
+            if (toStdout) {
+                await this.streamToStdout(downloadManager, url, singleOptions);
+                downloadManager.cleanup();
+                return;
+            }
 
             let result;
-            if (url.endsWith('.txt')) {
+            if (isBatchFile) {
                 // Download from file
                 const downloadOptions = {
                     concurrent: options.sequential ? 1 : parseInt(options.concurrent),
-                    stopOnError: options.stopOnError
+                    stopOnError: options.stopOnError,
+                    checksumList,
+                    priority: options.priority,
+                    ...authOptions
                 };
-                result = await downloadManager.downloadFromFile(url, downloadOptions);
+                const input = options.inputFile || url;
+                const content = input === '-' ? await this.readStdin() : null;
+                const stopWatching = options.sequential ? () => {} : this.watchConcurrencySignals(downloadManager);
+                try {
+                    result = content !== null
+                        ? await downloadManager.downloadFromContent(content, downloadOptions)
+                        : await downloadManager.downloadFromFile(input, downloadOptions);
+                } finally {
+                    stopWatching();
+                }
             } else {
-                // Single download
-                result = await downloadManager.downloadSingle(url);
+                // Single download, under another name and directory with --output-document
+                const document = options.outputDocument ? path.resolve(options.outputDocument) : null;
+                result = await downloadManager.downloadSingle(url, {
+                    ...singleOptions,
+                    downloadDir: document ? path.dirname(document) : undefined,
+                    filename: document ? path.basename(document) : undefined
+                });
             }
 
-            // Display results
+            // Display results, unless a shutdown cut the run short and reports it instead
+            if (this.stopping) {
+                return;
+            }
             this.displayResults(result);
 
             // Cleanup
             downloadManager.cleanup();
 
         } catch (error) {
-            console.log(chalk.red(`Error: ${error.message}`));
+            // Downloads stopped by a shutdown are reported by it
+            if (this.stopping) {
+                return;
+            }
+            console.error(chalk.red(`Error: ${error.message}`));
+            if (error.jobId) {
+                console.error(chalk.gray(`Resume with: jsdownloader resume ${error.jobId}`));
+            }
+            process.exit(1);
+        }
+    }
+
+    // Called on SIGINT or SIGTERM: stops the downloads of this process with their progress
+    // saved, so that running the same command again continues them
+    async shutdown() {
+        this.stopping = true;
+
+        if (this.daemon) {
+            await this.daemon.stop();
+            return;
+        }
+
+        const interrupted = [];
+        for (const downloadManager of this.downloadManagers) {
+            interrupted.push(...await downloadManager.shutdown());
+        }
+
+        if (interrupted.length > 0) {
+            console.error(chalk.yellow(`Stopped ${interrupted.length} download(s), run the same command again to continue`));
+        }
+    }
+
+    // A foreground batch has no daemon socket to take new limits, so it takes signals the way
+    // worker servers such as gunicorn do: SIGTTIN adds a download slot, SIGTTOU removes one
+    watchConcurrencySignals(downloadManager) {
+        if (process.platform === 'win32') {
+            return () => {};
+        }
+
+        const change = (delta) => {
+            const current = downloadManager.config.get('download', 'maxConcurrent');
+            const limits = downloadManager.setConcurrency(Math.max(1, current + delta));
+            downloadManager.logger.info('Concurrency changed', { maxConcurrent: limits.maxConcurrent });
+        };
+        const more = () => change(1);
+        const fewer = () => change(-1);
+
+        process.on('SIGTTIN', more);
+        process.on('SIGTTOU', fewer);
+        return () => {
+            process.removeListener('SIGTTIN', more);
+            process.removeListener('SIGTTOU', fewer);
+        };
+    }
+
+    async streamToStdout(downloadManager, url, options) {
+        try {
+            await pipeline(downloadManager.createReadStream(url, options), process.stdout);
+        } catch (error) {
+            // The reader stopped early, as head does once it has enough; that is not a failure
+            if (error.code !== 'EPIPE') {
+                throw error;
+            }
+        }
+    }
+
+    async readStdin() {
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    async handleCrawl(url, options) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const config = new ConfigManager();
+
+            if (options.output) {
+                config.set('download', 'directory', options.output);
+            }
+            if (options.timestamping) {
+                config.set('download', 'timestamping', true);
+            }
+
+            const crawlOptions = {
+                depth: options.depth !== undefined ? parseInt(options.depth, 10) : undefined,
+                scope: options.scope,
+                accept: options.accept,
+                reject: options.reject,
+                acceptRegex: options.acceptRegex,
+                rejectRegex: options.rejectRegex,
+                robots: options.robots
+            };
+
+            const downloadManager = await this.createDownloadManager(config);
+
+            if (options.list || options.queue) {
+                const entries = await downloadManager.siteCrawler.crawl(url, crawlOptions);
+
+                if (options.list) {
+                    entries.forEach(({ url: fileUrl, options: fileOptions }) => {
+                        const target = path.join(fileOptions.subdirectory || '', fileOptions.filename || '');
+                        console.log(`${fileUrl} ${chalk.gray(`→ ${target}`)}`);
+                    });
+                    console.log(chalk.gray(`${entries.length} files`));
+                } else {
+                    const client = await this.getDaemonClient(config);
+                    if (!client) {
+                        throw new Error('Daemon is not running, start it with "jsdownloader daemon"');
+                    }
+
+                    // The daemon has its own working directory, so relative paths are resolved here
+                    for (const entry of entries) {
+                        await client.send('add', {
+                            url: entry.url,
+                            options: {
+                                downloadDir: options.output ? path.resolve(options.output) : undefined,
+                                timestamping: options.timestamping,
+                                ...entry.options
+                            }
+                        });
+                    }
+                    console.log(chalk.green(`Queued ${entries.length} files`));
+                }
+
+                downloadManager.cleanup();
+                return;
+            }
+
+            const result = await downloadManager.crawl(url, crawlOptions, {
+                concurrent: options.concurrent ? parseInt(options.concurrent, 10) : undefined
+            });
+
+            this.displayResults(result);
+            downloadManager.cleanup();
+
+        } catch (error) {
+            if (this.stopping) {
+                return;
+            }
+            console.error(chalk.red(`Error: ${error.message}`));
             process.exit(1);
         }
     }
 
+    isMetalinkUrl(url) {
+        try {
+            return /\.(metalink|meta4)$/i.test(new URL(url).pathname);
+        } catch {
+            return false;
+        }
+    }
+
+    parseUser(user) {
+        const separator = user.indexOf(':');
+        if (separator === -1) {
+            return { username: user, password: '' };
+        }
+
+        return {
+            username: user.slice(0, separator),
+            password: user.slice(separator + 1)
+        };
+    }
+
     displayResults(result) {
-        if (result.stats) {
+        if (result.results) {
             // Multiple downloads
             const { stats } = result;
             console.log(chalk.green('\n✓ Downloads completed!'));
             console.log(chalk.gray(`Total: ${stats.total}, Successful: ${stats.successful}, Failed: ${stats.failed}`));
+
+            if (stats.verified > 0 || stats.checksumFailed > 0) {
+                console.log(chalk.gray(`Checksums verified: ${stats.verified}, mismatched: ${stats.checksumFailed}`));
+            }
+
+            if (stats.unchanged > 0) {
+                console.log(chalk.gray(`Unchanged, not downloaded: ${stats.unchanged}`));
+            }
             
             if (stats.totalSize > 0) {
                 console.log(chalk.gray(`Total size: ${this.formatBytes(stats.totalSize)}`));
@@ -180,14 +542,23 @@ class CLI {
             }
 
             if (result.errors && result.errors.length > 0) {
-                console.log(chalk.yellow('\nErrors:'));
+                console.error(chalk.yellow('\nErrors:'));
                 result.errors.forEach(error => {
-                    console.log(chalk.red(`  ✗ ${error.url}: ${error.error}`));
+                    console.error(chalk.red(`  ✗ ${error.url}: ${error.error}`));
                 });
             }
         } else {
             // Single download
+            if (result.unchanged) {
+                console.log(chalk.green('\n✓ Local copy is up to date'));
+                return;
+            }
+
             console.log(chalk.green('\n✓ Download completed!'));
+
+            if (result.verified) {
+                console.log(chalk.gray('Checksum verified'));
+            }
         }
     }
 
@@ -250,16 +621,312 @@ class CLI {
         console.log(`Would get ${key}`);
     }
 
-    showHistory(options) {
-        console.log(chalk.yellow('History feature not yet implemented'));
+    async showHistory(options) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const { default: HistoryStore } = await import('./historyStore.js');
+            const store = new HistoryStore(new ConfigManager());
+
+            const records = store.list({
+                since: options.since ? HistoryStore.parseDate(options.since) : null,
+                until: options.until ? HistoryStore.parseDate(options.until) : null,
+                status: options.status,
+                protocol: options.protocol,
+                search: options.search
+            });
+
+            // Most recent first
+            const count = parseInt(options.number, 10);
+            const recent = records.reverse().slice(0, count > 0 ? count : records.length);
+
+            if (options.json) {
+                console.log(JSON.stringify(recent, null, 2));
+                return;
+            }
+
+            if (recent.length === 0) {
+                console.log(chalk.gray('No downloads in history'));
+                return;
+            }
+
+            recent.forEach((record) => {
+                const status = record.status === 'completed' ? chalk.green('✓') : chalk.red('✗');
+                const time = new Date(record.timestamp).toLocaleString();
+                console.log(`${status} ${chalk.gray(time)} ${chalk.cyan(record.protocol)} ${record.url}`);
+
+                const details = [];
+                if (record.destination) details.push(record.destination);
+                if (record.size) details.push(this.formatBytes(record.size));
+                if (record.duration) details.push(this.formatTime(record.duration));
+                if (record.checksum) details.push(record.checksum.split(':')[0]);
+
+                if (details.length > 0) {
+                    console.log(chalk.gray(`  ${details.join(', ')}`));
+                }
+                if (record.error) {
+                    console.log(chalk.red(`  ${record.error}`));
+                }
+            });
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
     }
 
-    clearHistory() {
-        console.log(chalk.yellow('History clear not yet implemented'));
+    async clearHistory(options) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const { default: HistoryStore } = await import('./historyStore.js');
+            const store = new HistoryStore(new ConfigManager());
+
+            const olderThan = options.olderThan ? HistoryStore.parseDate(options.olderThan) : null;
+            const removed = store.clear(olderThan);
+
+            console.log(chalk.green(`Removed ${removed} history record${removed === 1 ? '' : 's'}`));
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    async getDaemonClient(config) {
+        const { default: DaemonClient } = await import('./daemonClient.js');
+        const client = new DaemonClient(config);
+
+        return await client.isRunning() ? client : null;
+    }
+
+    async handleDaemon(options) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const config = new ConfigManager();
+            const client = await this.getDaemonClient(config);
+
+            if (options.stop) {
+                if (!client) {
+                    console.log(chalk.yellow('Daemon is not running'));
+                    return;
+                }
+
+                const { pid } = await client.send('shutdown');
+                console.log(chalk.green(`Daemon stopped (pid ${pid})`));
+                return;
+            }
+
+            if (client) {
+                console.log(chalk.yellow('Daemon is already running'));
+                return;
+            }
+
+            if (options.foreground) {
+                const { default: Daemon } = await import('./daemon.js');
+                const downloadManager = await this.createDownloadManager(config);
+                const daemon = new Daemon(config, downloadManager, downloadManager.logger);
+                this.daemon = daemon;
+
+                await daemon.start();
+                console.log(chalk.green(`Daemon listening on ${config.getDaemonSocketPath()}`));
+                return;
+            }
+
+            // Start a detached copy of this command so it outlives the terminal
+            const child = spawn(process.execPath, [...process.execArgv, process.argv[1], 'daemon', '--foreground'], {
+                detached: true,
+                stdio: 'ignore'
+            });
+            child.unref();
+
+            for (let attempt = 0; attempt < 50; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+
+                if (await this.getDaemonClient(config)) {
+                    console.log(chalk.green(`Daemon started (pid ${child.pid})`));
+                    console.log(chalk.gray(`Listening on ${config.getDaemonSocketPath()}`));
+                    return;
+                }
+            }
+
+            throw new Error('Daemon did not start, run "jsdownloader daemon --foreground" to see why');
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
     }
 
-    showStatus() {
-        console.log(chalk.yellow('Status feature not yet implemented'));
+    async addDownload(url, options) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const client = await this.getDaemonClient(new ConfigManager());
+
+            if (!client) {
+                throw new Error('Daemon is not running, start it with "jsdownloader daemon"');
+            }
+
+            // The daemon has its own working directory, so relative paths are resolved here
+            const job = await client.send('add', {
+                url,
+                options: {
+                    downloadDir: options.output ? path.resolve(options.output) : undefined,
+                    checksum: options.checksum,
+                    priority: options.priority,
+                    startAt: options.at,
+                    window: options.window,
+                    timestamping: options.timestamping
+                }
+            });
+
+            console.log(chalk.green(`Queued ${job.id}`));
+            if (job.startAt) {
+                console.log(chalk.gray(`Starts at ${new Date(job.startAt).toLocaleString()}`));
+            }
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    async showStatus() {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const { default: DownloadQueue } = await import('./downloadQueue.js');
+            const config = new ConfigManager();
+            const client = await this.getDaemonClient(config);
+
+            let jobs;
+            if (client) {
+                const status = await client.send('status');
+                console.log(chalk.gray(`Daemon running (pid ${status.pid})\n`));
+                jobs = status.jobs;
+            } else {
+                jobs = new DownloadQueue(config).list();
+            }
+
+            if (jobs.length === 0) {
+                console.log(chalk.gray('No downloads in the queue'));
+                return;
+            }
+
+            const colors = {
+                queued: chalk.blue,
+                active: chalk.cyan,
+                paused: chalk.yellow,
+                completed: chalk.green,
+                failed: chalk.red
+            };
+
+            jobs.forEach((job) => {
+                const priority = job.priority && job.priority !== 'normal' ? chalk.magenta(` [${job.priority}]`) : '';
+                console.log(`${chalk.bold(job.id)}  ${colors[job.state](job.state.padEnd(9))}  ${job.url}${priority}`);
+
+                if (job.state === 'queued' && job.startAt && new Date(job.startAt) > new Date()) {
+                    console.log(chalk.gray(`${' '.repeat(21)}starts at ${new Date(job.startAt).toLocaleString()}`));
+                }
+                if (job.state === 'queued' && job.window) {
+                    console.log(chalk.gray(`${' '.repeat(21)}runs in ${job.window === true ? 'download windows' : `window "${job.window}"`}`));
+                }
+                if (job.destination) {
+                    console.log(chalk.gray(`${' '.repeat(21)}${job.destination}`));
+                }
+                if (job.error) {
+                    console.log(chalk.red(`${' '.repeat(21)}${job.error}`));
+                }
+            });
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+        }
+    }
+
+    async pauseDownload(id) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const config = new ConfigManager();
+            const client = await this.getDaemonClient(config);
+
+            if (client) {
+                await client.send('pause', { id });
+            } else {
+                const downloadManager = await this.createDownloadManager(config);
+                await downloadManager.pauseDownload(id);
+            }
+
+            console.log(chalk.yellow(`Download ${id} paused`));
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    async resumeDownload(id, options = {}) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const config = new ConfigManager();
+            const client = await this.getDaemonClient(config);
+
+            // With a daemon running the job goes back on its queue, otherwise it runs here
+            if (client) {
+                await client.send('resume', { id });
+                console.log(chalk.green(`Download ${id} queued`));
+                return;
+            }
+
+            const downloadManager = await this.createDownloadManager(config);
+            // Credentials are not kept in the queue, so they are given again here
+            const result = await downloadManager.resumeDownload(id, {
+                auth: options.user ? this.parseUser(options.user) : undefined,
+                bearerToken: options.bearerToken
+            });
+            this.displayResults(result);
+            downloadManager.cleanup();
+        } catch (error) {
+            if (this.stopping) {
+                return;
+            }
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    async cancelDownload(id) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const config = new ConfigManager();
+            const client = await this.getDaemonClient(config);
+
+            if (client) {
+                await client.send('cancel', { id });
+            } else {
+                const downloadManager = await this.createDownloadManager(config);
+                await downloadManager.cancelDownload(id);
+            }
+
+            console.log(chalk.green(`Download ${id} canceled`));
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    async setConcurrency(number, options) {
+        try {
+            const { default: ConfigManager } = await import('./config.js');
+            const client = await this.getDaemonClient(new ConfigManager());
+
+            if (!client) {
+                throw new Error('Daemon is not running, start it with "jsdownloader daemon"');
+            }
+
+            // Without arguments the current limits are only shown
+            const limits = await client.send('concurrency', {
+                maxConcurrent: number !== undefined ? parseInt(number) : undefined,
+                maxPerHost: options.perHost !== undefined ? parseInt(options.perHost) : undefined
+            });
+
+            console.log(`Concurrent downloads: ${chalk.bold(limits.maxConcurrent)}`);
+            console.log(`Per host:             ${chalk.bold(limits.maxPerHost || 'no limit')}`);
+        } catch (error) {
+            console.log(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
     }
 
     cleanup() {
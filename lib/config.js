@@ -2,23 +2,34 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import YAML from 'yaml';
+import { fileURLToPath } from 'url';
+
+// The defaults shipped with the package, for programs that import it from another directory
+const PACKAGE_CONFIG_PATH = fileURLToPath(new URL('../config/default.yaml', import.meta.url));
 
 class ConfigManager {
-    constructor() {
+    constructor(configPath = null) {
         this.config = null;
         this.configPath = null;
-        this.load();
+        this.load(configPath);
     }
 
-    load() {
+    load(configPath = null) {
         // Try to load user config first, then fall back to default
         const userConfigPath = path.join(os.homedir(), '.jsdownloader', 'config.yaml');
         const defaultConfigPath = path.join(process.cwd(), 'config', 'default.yaml');
         
-        if (fs.existsSync(userConfigPath)) {
+        if (configPath) {
+            if (!fs.existsSync(configPath)) {
+                throw new Error(`Configuration file not found: ${configPath}`);
+            }
+            this.configPath = path.resolve(configPath);
+        } else if (fs.existsSync(userConfigPath)) {
             this.configPath = userConfigPath;
         } else if (fs.existsSync(defaultConfigPath)) {
             this.configPath = defaultConfigPath;
+        } else if (fs.existsSync(PACKAGE_CONFIG_PATH)) {
+            this.configPath = PACKAGE_CONFIG_PATH;
         } else {
             throw new Error('No configuration file found');
         }
@@ -57,6 +68,22 @@ class ConfigManager {
             this.config.download.maxConcurrent = 10;
         }
 
+        if (!(this.config.download.maxPerHost >= 0)) {
+            this.config.download.maxPerHost = 0;
+        }
+
+        if (!(this.config.download.hostDelay >= 0)) {
+            this.config.download.hostDelay = 0;
+        }
+
+        if (this.config.download.connections < 1) {
+            this.config.download.connections = 1;
+        }
+
+        if (this.config.download.connections > 16) {
+            this.config.download.connections = 16;
+        }
+
         if (this.config.progress.barWidth < 10) {
             this.config.progress.barWidth = 10;
         }
@@ -126,6 +153,10 @@ class ConfigManager {
         }
     }
 
+    getDaemonSocketPath() {
+        return path.join(os.homedir(), '.jsdownloader', 'daemon.sock');
+    }
+
     getLogDirectory() {
         const logDir = this.config.logging.logDirectory;
         
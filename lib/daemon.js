@@ -0,0 +1,268 @@
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+import SchedulingPolicy from './schedulingPolicy.js';
+
+class Daemon {
+    constructor(config, downloadManager, logger) {
+        this.config = config;
+        this.downloadManager = downloadManager;
+        this.logger = logger;
+        this.socketPath = config.getDaemonSocketPath();
+        this.server = null;
+        this.running = new Map();
+        this.policy = new SchedulingPolicy();
+        this.downloadSchedule = downloadManager.downloadSchedule;
+        this.windowPaused = new Set();
+        this.wakeTimer = null;
+        this.stopping = false;
+    }
+
+    async start() {
+        // A mistake in the configured windows is reported now rather than at the first tick
+        this.downloadSchedule.getWindows();
+
+        await this.removeStaleSocket();
+        fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+
+        this.server = net.createServer((socket) => this.handleConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.socketPath, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        // Only the owner may queue downloads or read the job list
+        fs.chmodSync(this.socketPath, 0o600);
+
+        this.logger.info('Daemon listening', { socket: this.socketPath, pid: process.pid });
+        this.tick();
+    }
+
+    async removeStaleSocket() {
+        if (!fs.existsSync(this.socketPath)) {
+            return;
+        }
+
+        const inUse = await new Promise((resolve) => {
+            const probe = net.connect(this.socketPath);
+            probe.once('connect', () => {
+                probe.destroy();
+                resolve(true);
+            });
+            probe.once('error', () => resolve(false));
+        });
+
+        if (inUse) {
+            throw new Error(`A daemon is already listening on ${this.socketPath}`);
+        }
+
+        // Left behind by a daemon that did not shut down cleanly
+        fs.unlinkSync(this.socketPath);
+    }
+
+    handleConnection(socket) {
+        let buffer = '';
+
+        socket.setEncoding('utf8');
+        socket.on('error', (error) => {
+            this.logger.debug('Daemon client error', { error: error.message });
+        });
+
+        // One JSON request per line, answered with one JSON response per line
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+
+                this.handleRequest(line).then((response) => {
+                    if (!socket.destroyed) {
+                        socket.write(JSON.stringify(response) + '\n');
+                    }
+                });
+            }
+        });
+    }
+
+    async handleRequest(line) {
+        try {
+            const { command, args = {} } = JSON.parse(line);
+            const result = await this.handleCommand(command, args);
+            return { ok: true, result };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    async handleCommand(command, args) {
+        switch (command) {
+            case 'status':
+                return {
+                    pid: process.pid,
+                    jobs: this.downloadManager.getJobs()
+                };
+
+            case 'add': {
+                if (!args.url) {
+                    throw new Error('No URL provided');
+                }
+
+                const job = this.downloadManager.addDownload(args.url, args.options);
+                this.schedule();
+                return job;
+            }
+
+            case 'pause':
+                return await this.downloadManager.pauseDownload(args.id);
+
+            case 'resume': {
+                // Resumed jobs wait for a free slot like any other queued job
+                const job = this.downloadManager.requeueDownload(args.id);
+                this.schedule();
+                return job;
+            }
+
+            case 'cancel':
+                await this.downloadManager.cancelDownload(args.id);
+                return { id: args.id };
+
+            case 'concurrency': {
+                const limits = this.downloadManager.setConcurrency(args.maxConcurrent, args.maxPerHost);
+                this.schedule();
+                return limits;
+            }
+
+            case 'shutdown':
+                setImmediate(() => this.stop());
+                return { pid: process.pid };
+
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+    }
+
+    tick() {
+        this.applyWindows();
+        this.schedule();
+    }
+
+    applyWindows(now = new Date()) {
+        // An open window's cap replaces the configured limit, which comes back when it closes
+        const limiter = this.downloadManager.bandwidthLimiter;
+        limiter.setDownloadLimit(this.downloadSchedule.getDownloadLimit(now) ?? limiter.getDownloadLimit());
+
+        for (const jobId of this.running.keys()) {
+            if (this.windowPaused.has(jobId)) {
+                continue;
+            }
+
+            const job = this.downloadManager.downloadQueue.get(jobId);
+            if (job && !this.downloadSchedule.isJobWindowOpen(job, now)) {
+                this.logger.info('Download window closed, pausing', { jobId, url: job.url });
+                this.windowPaused.add(jobId);
+                this.downloadManager.pauseDownload(jobId).catch(() => {});
+            }
+        }
+    }
+
+    schedule() {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+
+        if (this.stopping) {
+            return;
+        }
+
+        // Limits are read on every pass so changes made while running apply to the next start
+        const maxConcurrent = this.config.get('download', 'maxConcurrent') || 1;
+        this.policy.setPerHostLimit(this.config.get('download', 'maxPerHost'));
+        this.policy.setHostDelay(this.config.get('download', 'hostDelay'));
+
+        const now = new Date();
+        const queued = this.downloadManager.getJobs('queued')
+            .filter(job => !this.running.has(job.id) && !this.downloadManager.downloadQueue.isOwnedElsewhere(job));
+        const candidates = queued
+            .filter(job => this.downloadSchedule.isRunnable(job, now))
+            .map(job => ({ job, host: this.downloadManager.getHost(job.url), priority: job.priority }));
+
+        while (this.running.size < maxConcurrent) {
+            const candidate = this.policy.pick(candidates);
+            if (!candidate) {
+                break;
+            }
+
+            candidates.splice(candidates.indexOf(candidate), 1);
+            this.startJob(candidate.job, candidate.host);
+        }
+
+        // Wake up again when a politeness delay runs out, a window opens or closes,
+        // or a scheduled job becomes due
+        const delays = [
+            this.running.size < maxConcurrent ? this.policy.getNextDelay(candidates) : null,
+            this.downloadSchedule.getNextChange(queued, now)
+        ].filter(delay => delay !== null);
+
+        if (delays.length > 0) {
+            this.wakeTimer = setTimeout(() => this.tick(), Math.min(...delays));
+        }
+    }
+
+    startJob(job, host) {
+        this.policy.started(host);
+
+        // Failures are recorded on the job itself, so the daemon only has to move on
+        const run = this.downloadManager.runJob(job.id)
+            .catch(() => {})
+            .finally(() => {
+                this.running.delete(job.id);
+                this.policy.finished(host);
+
+                // Paused by a closing window, so it waits in the queue for the next one
+                if (this.windowPaused.delete(job.id)) {
+                    try {
+                        this.downloadManager.requeueDownload(job.id);
+                    } catch (error) {
+                        this.logger.debug('Could not requeue download', { jobId: job.id, error: error.message });
+                    }
+                }
+
+                this.schedule();
+            });
+
+        this.running.set(job.id, run);
+    }
+
+    async stop() {
+        if (this.stopping) {
+            return;
+        }
+        this.stopping = true;
+        clearTimeout(this.wakeTimer);
+
+        this.logger.info('Daemon shutting down', { active: this.running.size });
+        this.server?.close();
+
+        // Interrupted jobs go back to the queue so the next daemon picks them up
+        const interrupted = Array.from(this.running.keys());
+        for (const jobId of interrupted) {
+            await this.downloadManager.pauseDownload(jobId).catch(() => {});
+        }
+        await Promise.all(this.running.values());
+
+        for (const jobId of interrupted) {
+            this.downloadManager.downloadQueue.update(jobId, { state: 'queued', pid: null });
+        }
+
+        await this.downloadManager.shutdown();
+        fs.rmSync(this.socketPath, { force: true });
+        process.exit(0);
+    }
+}
+
+export default Daemon;
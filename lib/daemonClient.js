@@ -0,0 +1,62 @@
+import net from 'net';
+import fs from 'fs';
+
+class DaemonClient {
+    constructor(config) {
+        this.config = config;
+        this.socketPath = config.getDaemonSocketPath();
+    }
+
+    send(command, args = {}) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(this.socketPath);
+            let buffer = '';
+
+            socket.setEncoding('utf8');
+            socket.setTimeout(this.config.get('download', 'timeout'), () => {
+                socket.destroy();
+                reject(new Error('Daemon did not respond'));
+            });
+
+            socket.on('connect', () => {
+                socket.write(JSON.stringify({ command, args }) + '\n');
+            });
+
+            socket.on('data', (chunk) => {
+                buffer += chunk;
+
+                const newline = buffer.indexOf('\n');
+                if (newline === -1) {
+                    return;
+                }
+
+                socket.end();
+                const response = JSON.parse(buffer.slice(0, newline));
+                if (response.ok) {
+                    resolve(response.result);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+
+            socket.on('error', (error) => {
+                reject(new Error(`Cannot reach daemon: ${error.message}`));
+            });
+        });
+    }
+
+    async isRunning() {
+        if (!fs.existsSync(this.socketPath)) {
+            return false;
+        }
+
+        try {
+            await this.send('status');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+export default DaemonClient;
@@ -0,0 +1,28 @@
+import { EventEmitter } from 'events';
+
+// What downloads report while they run. Downloaders emit these instead of drawing progress
+// or sending notifications themselves; the progress bar, desktop notifications and library
+// users are all listeners.
+//
+//   start         { id, url, filename, totalSize }
+//   progress      { id, url, downloaded, totalSize }
+//   complete      { id, url, destination, stats }
+//   error         { id, url, filename, error, aborted }
+//   retry         { url, attempt, delay, error }
+//   batchComplete { total, successful, failed, totalSize, totalTime, ... }
+//
+// A download read through createReadStream has no destination; its complete event carries
+// the filename instead. Files inside a torrent report start, progress and complete of their
+// own, with the id of the whole torrent as parent.
+class DownloadEvents extends EventEmitter {
+    // A failed download already rejects its promise, so unlike a plain EventEmitter an
+    // "error" that nobody listens to is not thrown a second time
+    emit(event, ...args) {
+        if (event === 'error' && this.listenerCount('error') === 0) {
+            return false;
+        }
+        return super.emit(event, ...args);
+    }
+}
+
+export default DownloadEvents;
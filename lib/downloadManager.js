@@ -1,85 +1,756 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { PassThrough } from 'stream';
+import { once } from 'events';
 import HttpDownloader from './httpDownloader.js';
 import TorrentDownloader from './torrentDownloader.js';
 import FtpDownloader from './ftpDownloader.js';
 import SftpDownloader from './sftpDownloader.js';
 import YoutubeDownloader from './youtubeDownloader.js';
+import DownloadEvents from './downloadEvents.js';
+import BandwidthLimiter from './bandwidthLimiter.js';
+import RetryPolicy from './retryPolicy.js';
+import DownloadQueue from './downloadQueue.js';
+import HistoryStore from './historyStore.js';
+import ProtocolRegistry from './protocolRegistry.js';
+import WorkerPool from './workerPool.js';
+import SchedulingPolicy from './schedulingPolicy.js';
+import DownloadSchedule from './downloadSchedule.js';
+import BatchParser from './batchParser.js';
+import SiteCrawler from './siteCrawler.js';
 
-class DownloadManager {
-    constructor(config, logger, progressDisplay, fileManager, notifications) {
+const abortReason = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Downloads report start, progress, complete, error and retry events on the manager itself
+// (see DownloadEvents); a progress display or notifications are attached as listeners
+class DownloadManager extends DownloadEvents {
+    constructor(config, logger, fileManager) {
+        super();
         this.config = config;
         this.logger = logger;
-        this.progressDisplay = progressDisplay;
         this.fileManager = fileManager;
-        this.notifications = notifications;
+        this.bandwidthLimiter = new BandwidthLimiter(config);
+        this.retryPolicy = new RetryPolicy(config, logger, this);
+
+        this.httpDownloader = new HttpDownloader(config, logger, this, fileManager, this.bandwidthLimiter, this.retryPolicy);
+        this.torrentDownloader = new TorrentDownloader(config, logger, this, fileManager, this.bandwidthLimiter);
+        this.ftpDownloader = new FtpDownloader(config, logger, this, fileManager, this.bandwidthLimiter, this.retryPolicy);
+        this.sftpDownloader = new SftpDownloader(config, logger, this, fileManager, this.bandwidthLimiter, this.retryPolicy);
+        this.youtubeDownloader = new YoutubeDownloader(config, logger, this, fileManager, this.bandwidthLimiter, this.retryPolicy);
 
-        this.httpDownloader = new HttpDownloader(config, logger, progressDisplay, fileManager, notifications);
-        this.torrentDownloader = new TorrentDownloader(config, logger, progressDisplay, fileManager, notifications);
-        this.ftpDownloader = new FtpDownloader(config, logger, progressDisplay, fileManager, notifications);
-        this.sftpDownloader = new SftpDownloader(config, logger, progressDisplay, fileManager, notifications);
-        this.youtubeDownloader = new YoutubeDownloader(config, logger, progressDisplay, fileManager, notifications);
+        // General handlers first: later registrations are tried before earlier ones
+        this.protocolRegistry = new ProtocolRegistry();
+        this.registerDownloader(HttpDownloader, this.httpDownloader);
+        this.registerDownloader(FtpDownloader, this.ftpDownloader);
+        this.registerDownloader(SftpDownloader, this.sftpDownloader);
+        this.registerDownloader(TorrentDownloader, this.torrentDownloader);
+        this.registerDownloader(YoutubeDownloader, this.youtubeDownloader);
+        this.protocolHandlersLoaded = null;
+        this.batchParser = new BatchParser(fileManager, logger, this.protocolRegistry);
+        this.siteCrawler = new SiteCrawler(config, logger, this.httpDownloader, fileManager);
 
         this.activeDownloads = new Map();
-        this.downloadQueue = [];
+        this.runningJobs = new Map();
+        this.activeStreams = new Map();
+        this.shuttingDown = false;
+        this.workerPools = new Set();
+        this.downloadQueue = new DownloadQueue(config);
+        this.historyStore = new HistoryStore(config);
+        this.downloadSchedule = new DownloadSchedule(config);
         this.isProcessing = false;
     }
 
+    registerDownloader(Downloader, downloader) {
+        if (!Downloader.protocol) {
+            throw new Error(`${Downloader.name} does not declare a protocol`);
+        }
+
+        this.protocolRegistry.register({ ...Downloader.protocol, downloader });
+    }
+
+    loadProtocolHandlers() {
+        this.protocolHandlersLoaded ??= this.importProtocolHandlers();
+        return this.protocolHandlersLoaded;
+    }
+
+    async importProtocolHandlers() {
+        const modules = this.config.get('protocols', 'handlers') || [];
+
+        for (const modulePath of modules) {
+            // Relative paths are taken from the directory of the configuration file
+            const resolved = path.resolve(path.dirname(this.config.configPath), modulePath);
+
+            let Downloader;
+            try {
+                ({ default: Downloader } = await import(pathToFileURL(resolved).href));
+            } catch (error) {
+                throw new Error(`Failed to load protocol handler ${modulePath}: ${error.message}`);
+            }
+
+            if (typeof Downloader !== 'function') {
+                throw new Error(`Protocol handler ${modulePath} must export a downloader class as default`);
+            }
+
+            const downloader = new Downloader(this.config, this.logger, this, this.fileManager, this.bandwidthLimiter, this.retryPolicy);
+            this.registerDownloader(Downloader, downloader);
+            this.logger.debug('Protocol handler loaded', { name: Downloader.protocol.name, module: resolved });
+        }
+    }
+
+    addDownload(url, options = {}) {
+        // The directory is fixed when the job is created so a later resume writes to the same place
+        const baseDir = options.downloadDir || this.config.getDownloadDirectory();
+        const downloadDir = options.subdirectory ? path.join(baseDir, options.subdirectory) : baseDir;
+
+        // Scheduled jobs wait in the queue until the daemon finds them runnable
+        const startAt = options.startAt ? DownloadSchedule.parseStartTime(options.startAt).toISOString() : null;
+        if (options.window) {
+            this.downloadSchedule.validateWindow(options.window);
+        }
+
+        const { subdirectory, ...jobOptions } = options;
+        const job = this.downloadQueue.add(url, { ...jobOptions, downloadDir, startAt });
+
+        this.logger.debug('Download queued', { jobId: job.id, url });
+        return job;
+    }
+
     async downloadSingle(url, options = {}) {
-        const downloadDir = options.downloadDir || this.config.getDownloadDirectory();
+        const job = this.addDownload(url, options);
+        return await this.runJob(job.id, options);
+    }
+
+    // The file at url as a readable stream instead of a file, for HTTP, FTP and SFTP. Failed
+    // attempts are retried like any download and continue after the last byte passed on, so the
+    // reader sees one unbroken stream or an error. Destroying the stream stops the transfer.
+    createReadStream(url, options = {}) {
+        const output = new PassThrough();
+        const controller = new AbortController();
+
+        output.once('close', () => controller.abort(abortReason('Stream closed', 'ECANCELED')));
+        options.signal?.addEventListener('abort', () => controller.abort(options.signal.reason), { once: true });
+
+        const run = this.streamDownload(url, output, { ...options, signal: controller.signal })
+            .then(() => output.end(), error => output.destroy(error))
+            .finally(() => this.activeStreams.delete(controller));
+        this.activeStreams.set(controller, run);
+
+        return output;
+    }
+
+    async streamDownload(url, output, options) {
+        await this.loadProtocolHandlers();
+
+        const handler = this.protocolRegistry.resolve(url);
+        if (!handler) {
+            throw new Error(`Unsupported URL format: ${url}`);
+        }
+        if (!handler.downloader.createReadStream) {
+            throw new Error(`Streaming is not supported for ${handler.name} downloads`);
+        }
+
+        // Nothing is left to delete once the hash is known, but the reader still learns of a mismatch
+        const checksum = await this.resolveChecksum(url, options);
+        const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+
+        const downloadId = `stream_${Date.now()}_${Math.random()}`;
+        const filename = options.filename || this.fileManager.extractFilename(url);
+        const startTime = Date.now();
+        let position = 0;
+        let totalSize = null;
+        let validators = null;
+        let lastProgressUpdate = 0;
+
+        this.logger.logDownloadStart(url, '-');
+        this.bandwidthLimiter.register(downloadId, options.limitRate);
+
+        try {
+            await this.retryPolicy.run([url], async () => {
+                const source = await handler.downloader.createReadStream(url, position, { ...options, validators });
+
+                try {
+                    if (position === 0) {
+                        totalSize = source.size;
+                        validators = source.validators;
+                        this.emit('start', { id: downloadId, url, filename, totalSize });
+                    } else if (totalSize !== null && source.size !== null && source.size !== totalSize) {
+                        const error = new Error('Remote file changed since download started');
+                        error.code = 'EREMOTECHANGED';
+                        error.retryable = false;
+                        throw error;
+                    } else {
+                        this.logger.info(`Resuming stream from byte ${position}`, { url });
+                    }
+
+                    for await (const chunk of source.stream) {
+                        await this.bandwidthLimiter.consume(downloadId, chunk.length);
+                        position += chunk.length;
+                        hash?.update(chunk);
+
+                        if (!output.write(chunk)) {
+                            await once(output, 'drain', { signal: options.signal });
+                        }
+
+                        const now = Date.now();
+                        if (now - lastProgressUpdate >= this.config.get('progress', 'updateInterval')) {
+                            this.emit('progress', { id: downloadId, url, downloaded: position, totalSize });
+                            lastProgressUpdate = now;
+                        }
+                    }
+                } finally {
+                    source.stream.destroy();
+                }
+
+                // A connection that closed early looks like a normal end of the body
+                if (totalSize !== null && position < totalSize) {
+                    const error = new Error(`Transfer ended after ${position} of ${totalSize} bytes`);
+                    error.code = 'ETRUNCATED';
+                    throw error;
+                }
+            }, { protocol: handler.name, signal: options.signal, label: 'stream' });
+
+            if (hash && hash.digest('hex') !== checksum.digest.toLowerCase()) {
+                const error = new Error(`Checksum mismatch for ${filename}`);
+                error.code = 'ECHECKSUM';
+                throw error;
+            }
+
+            const duration = (Date.now() - startTime) / 1000;
+            const stats = { size: position, duration, averageSpeed: position / duration };
+
+            this.emit('complete', { id: downloadId, url, filename, destination: null, stats });
+            this.logger.logDownloadComplete(url, '-', stats);
+        } catch (error) {
+            const aborted = Boolean(options.signal?.aborted);
+            this.emit('error', { id: downloadId, url, filename, error, aborted });
+            if (!aborted) {
+                this.logger.logDownloadError(url, error);
+            }
+            throw error;
+        } finally {
+            this.bandwidthLimiter.unregister(downloadId);
+        }
+    }
+
+    async runJob(jobId, options = {}) {
+        if (this.shuttingDown) {
+            throw abortReason('Shutting down', 'ESHUTDOWN');
+        }
+
+        const job = this.getJob(jobId);
+
+        if (job.state === 'paused') {
+            throw abortReason(`Download ${jobId} is paused`, 'EPAUSED');
+        }
+        if (job.state === 'active' || job.state === 'completed') {
+            throw new Error(`Download ${jobId} is already ${job.state}`);
+        }
+
+        // Options that are not persisted, such as a checksum list, are layered over the job's own
+        const { downloadDir } = job.options;
+        const jobOptions = { ...job.options, ...options, downloadDir };
         this.fileManager.ensureDirectoryExists(downloadDir);
 
+        const startTime = Date.now();
+        const controller = new AbortController();
+        this.activeDownloads.set(jobId, controller);
+        this.downloadQueue.update(jobId, { state: 'active', pid: process.pid, error: null });
+
+        // Settles once the job has stopped, for a shutdown to wait on
+        let settle;
+        this.runningJobs.set(jobId, new Promise((resolve) => {
+            settle = resolve;
+        }));
+
+        const runOptions = {
+            ...jobOptions,
+            signal: controller.signal,
+            onDestination: (destination, partPath) => this.downloadQueue.update(jobId, { destination, partPath })
+        };
+
         try {
-            if (TorrentDownloader.isValidMagnetUri(url)) {
-                return await this.torrentDownloader.download(url, downloadDir, options);
-            } else if (YoutubeDownloader.isValidYouTubeUrl(url)) {
-                return await this.youtubeDownloader.download(url, downloadDir, options);
-            } else if (FtpDownloader.isValidFtpUrl(url)) {
-                const destination = this.fileManager.getDestinationPath(url, downloadDir);
-                return await this.ftpDownloader.download(url, destination, options);
-            } else if (SftpDownloader.isValidSftpUrl(url)) {
-                const destination = this.fileManager.getDestinationPath(url, downloadDir);
-                return await this.sftpDownloader.download(url, destination, options);
-            } else if (HttpDownloader.isValidUrl(url)) {
-                const destination = this.fileManager.getDestinationPath(url, downloadDir);
-                return await this.httpDownloader.download(url, destination, options);
+            // A handler module that fails to load fails the job rather than leaving it queued
+            await this.loadProtocolHandlers();
+
+            let result;
+            const checksum = await this.resolveChecksum(job.url, runOptions);
+
+            if (checksum) {
+                // Keep the resolved digest so a resumed job is verified against the same one
+                this.downloadQueue.update(jobId, { options: { ...job.options, checksum } });
+            }
+
+            // A size or piece hashes, as a metalink gives them, are checked like a checksum
+            if (checksum || jobOptions.size !== undefined || jobOptions.pieces) {
+                result = await this.downloadVerified(job.url, downloadDir, { ...runOptions, checksum });
             } else {
-                throw new Error(`Unsupported URL format: ${url}`);
+                result = await this.dispatchDownload(job.url, downloadDir, runOptions);
+            }
+
+            const changes = { state: 'completed', error: null, partPath: null };
+            if (result.destination) {
+                changes.destination = result.destination;
+            }
+
+            // The history keeps finished downloads; only a batch still needs its finished jobs,
+            // to skip them when it is continued
+            const completed = job.options.batch
+                ? this.downloadQueue.update(jobId, changes)
+                : { ...job, ...changes };
+            if (!job.options.batch) {
+                this.downloadQueue.remove(jobId);
             }
+
+            this.recordHistory(completed, {
+                status: 'completed',
+                size: result.stats?.size ?? null,
+                duration: result.stats?.duration ?? (Date.now() - startTime) / 1000,
+                checksum: checksum ? `${checksum.algorithm}:${checksum.digest}` : null
+            });
+
+            return { ...result, jobId };
         } catch (error) {
-            this.logger.error('Download failed', { url, error: error.message });
+            if (controller.signal.aborted) {
+                const reason = controller.signal.reason;
+
+                if (reason.code === 'ECANCELED') {
+                    this.removeJobFiles(this.downloadQueue.get(jobId));
+                    this.downloadQueue.remove(jobId);
+                }
+
+                this.logger.info(reason.message, { jobId, url: job.url });
+                throw reason;
+            }
+
+            const failed = this.downloadQueue.update(jobId, { state: 'failed', error: error.message });
+            this.logger.error('Download failed', { url: job.url, error: error.message });
+
+            this.recordHistory(failed, {
+                status: 'failed',
+                size: null,
+                duration: (Date.now() - startTime) / 1000,
+                checksum: null
+            });
+
+            error.jobId = jobId;
             throw error;
+        } finally {
+            this.activeDownloads.delete(jobId);
+            this.runningJobs.delete(jobId);
+            settle();
+        }
+    }
+
+    recordHistory(job, details) {
+        try {
+            this.historyStore.record({
+                id: job.id,
+                url: job.url,
+                destination: job.destination,
+                protocol: this.getProtocol(job.url),
+                ...details,
+                error: job.error
+            });
+        } catch (error) {
+            // History is a convenience, it must never fail the download itself
+            this.logger.warn('Could not record download history', { url: job.url, error: error.message });
+        }
+    }
+
+    getProtocol(url) {
+        let scheme;
+        try {
+            scheme = new URL(url).protocol.slice(0, -1);
+        } catch {
+            return 'unknown';
+        }
+
+        // A handler covering several schemes (http and https) reports the scheme itself
+        const handler = this.protocolRegistry.resolve(url);
+        if (!handler || handler.schemes.length > 1) {
+            return scheme;
+        }
+
+        return handler.name;
+    }
+
+    async dispatchDownload(url, downloadDir, options = {}) {
+        const urls = [url, ...(options.mirrors || [])];
+
+        // Mirrors are grouped by protocol handler; each handler fails over among its own kind
+        const sources = [];
+        for (const source of urls) {
+            const handler = this.protocolRegistry.resolve(source);
+            if (!handler) {
+                if (source === url) {
+                    throw new Error(`Unsupported URL format: ${url}`);
+                }
+                this.logger.warn('Unsupported mirror skipped', { url, mirror: source });
+                continue;
+            }
+
+            if (!sources.some(entry => entry.handler === handler)) {
+                sources.push({ handler, url: source });
+            }
+        }
+
+        // A mirror for another protocol continues into the file the first one started
+        let destination = null;
+        const onDestination = (chosen, partPath) => {
+            destination = chosen;
+            options.onDestination?.(chosen, partPath);
+        };
+
+        for (const [index, source] of sources.entries()) {
+            const sourceOptions = {
+                ...options,
+                mirrors: urls.filter(mirror => mirror !== source.url),
+                filename: options.filename || (destination ? path.basename(destination) : undefined),
+                onDestination
+            };
+
+            try {
+                return await this.runHandler(source.handler, source.url, downloadDir, sourceOptions);
+            } catch (error) {
+                // A file that arrived but failed its checks is the manager's to deal with
+                if (options.signal?.aborted || error.code === 'EVERIFY' || index === sources.length - 1) {
+                    throw error;
+                }
+
+                this.logger.warn('Download failed, trying a mirror', {
+                    url: source.url,
+                    mirror: sources[index + 1].url,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    async runHandler(handler, url, downloadDir, options) {
+        if (handler.destination === 'directory') {
+            return await handler.downloader.download(url, downloadDir, options);
+        }
+
+        const destination = this.fileManager.getDestinationPath(url, downloadDir, {}, options);
+        return await handler.downloader.download(url, destination, options);
+    }
+
+    async downloadVerified(url, downloadDir, options) {
+        const onFailure = this.config.get('verification', 'onFailure') || 'retry';
+        const retries = onFailure === 'retry' ? (this.config.get('verification', 'retries') ?? 1) : 0;
+        let attemptOptions = options;
+
+        for (let attempt = 0; ; attempt++) {
+            // Downloaders check the part file with this before moving it into place; torrents
+            // check every piece themselves and never call it
+            let checked = false;
+            const verify = (details) => {
+                checked = true;
+                return this.checkDownload(details, options);
+            };
+
+            let result;
+            try {
+                result = await this.dispatchDownload(url, downloadDir, { ...attemptOptions, verify });
+            } catch (error) {
+                if (error.code !== 'EVERIFY') {
+                    throw error;
+                }
+
+                // The part file is still there; nothing was moved into place
+                const { failure, partPath, destination } = error;
+
+                if (attempt < retries) {
+                    // With piece hashes only the damaged pieces are fetched again, into the same part file
+                    if (failure.corruptPieces && this.config.get('download', 'enableResume')) {
+                        this.logger.warn(`${failure.message}, downloading them again (${attempt + 1}/${retries})`, {
+                            url,
+                            destination
+                        });
+                        this.prepareRepair(partPath, url, options.pieces, failure.corruptPieces);
+                        attemptOptions = { ...options, filename: path.basename(destination) };
+                        continue;
+                    }
+
+                    this.logger.warn(`${failure.message}, downloading again (${attempt + 1}/${retries})`, {
+                        url,
+                        destination
+                    });
+                    fs.unlinkSync(partPath);
+                    this.fileManager.cleanupResumeInfo(partPath);
+                    attemptOptions = options;
+                    continue;
+                }
+
+                if (onFailure === 'delete') {
+                    fs.unlinkSync(partPath);
+                    this.fileManager.cleanupResumeInfo(partPath);
+                } else {
+                    const quarantinePath = this.fileManager.quarantineFile(partPath, downloadDir, path.basename(destination));
+                    this.logger.warn('File failed verification and was quarantined', { url, quarantinePath });
+                }
+
+                const verifyError = new Error(error.message);
+                verifyError.code = 'ECHECKSUM';
+                throw verifyError;
+            }
+
+            if (!checked) {
+                return result;
+            }
+
+            this.logger.info('Download verified', {
+                url,
+                algorithm: options.checksum?.algorithm,
+                pieces: options.pieces?.hashes.length
+            });
+            return { ...result, verified: true };
+        }
+    }
+
+    // Compares a finished file with its expected size, piece hashes and checksum, in that order
+    // so the cheap checks come first; returns null when it passes
+    async checkDownload(result, options) {
+        const { checksum, size, pieces } = options;
+        const actualSize = this.fileManager.getFileStats(result.destination).size;
+
+        if (size !== undefined && size !== null && actualSize !== size) {
+            return { message: `Size mismatch (expected ${size} bytes, got ${actualSize})` };
+        }
+
+        if (pieces) {
+            const corrupt = await this.fileManager.findCorruptPieces(result.destination, pieces);
+            if (corrupt.length > 0) {
+                // A file of the wrong length cannot be patched piece by piece
+                const repairable = pieces.hashes.length === Math.ceil(actualSize / pieces.length);
+                return {
+                    message: `${corrupt.length} of ${pieces.hashes.length} pieces failed verification`,
+                    corruptPieces: repairable ? corrupt : null
+                };
+            }
+        }
+
+        if (checksum) {
+            const verified = await this.fileManager.verifyFile(
+                result.destination,
+                checksum.digest,
+                checksum.algorithm,
+                result.checksum
+            );
+
+            if (!verified) {
+                return { message: 'Checksum mismatch' };
+            }
+        }
+
+        return null;
+    }
+
+    prepareRepair(destination, url, pieces, corruptPieces) {
+        // Resume info that marks the good pieces as done turns the next attempt into a segmented
+        // download of just the bad ones; validators are left out since any mirror may serve them
+        const totalSize = fs.statSync(destination).size;
+        const corrupt = new Set(corruptPieces);
+        const segments = [];
+
+        for (let index = 0; index < pieces.hashes.length; index++) {
+            const start = index * pieces.length;
+            const end = Math.min(start + pieces.length, totalSize) - 1;
+            const downloaded = corrupt.has(index) ? 0 : end - start + 1;
+
+            // Neighbouring pieces that are both good or both bad make one segment
+            const previous = segments[segments.length - 1];
+            if (previous && (previous.downloaded === 0) === (downloaded === 0)) {
+                previous.end = end;
+                previous.downloaded += downloaded;
+            } else {
+                segments.push({ start, end, downloaded });
+            }
+        }
+
+        this.fileManager.createResumeInfo(destination, url, totalSize, {
+            downloadedSize: segments.reduce((sum, segment) => sum + segment.downloaded, 0),
+            etag: null,
+            remoteLastModified: null,
+            segments
+        });
+    }
+
+    async resolveChecksum(url, options = {}) {
+        if (options.checksum) {
+            return typeof options.checksum === 'string'
+                ? this.fileManager.parseChecksum(options.checksum)
+                : options.checksum;
+        }
+
+        if (options.checksumUrl) {
+            return await this.fetchSidecarChecksum(options.checksumUrl);
+        }
+
+        const listed = options.checksumList?.get(this.getRemoteFilename(url));
+        if (listed) {
+            return listed;
+        }
+
+        // Look for "<file>.<algorithm>" next to the download when verification is switched on
+        if (this.config.get('verification', 'enabled') && HttpDownloader.isValidUrl(url)) {
+            const sidecarUrl = new URL(url);
+            sidecarUrl.pathname += `.${this.config.get('verification', 'algorithm') || 'sha256'}`;
+
+            try {
+                return await this.fetchSidecarChecksum(sidecarUrl.href);
+            } catch (error) {
+                this.logger.debug('No checksum file found', { url: sidecarUrl.href, error: error.message });
+            }
+        }
+
+        return null;
+    }
+
+    async fetchSidecarChecksum(sidecarUrl) {
+        const content = await this.httpDownloader.fetchText(sidecarUrl);
+        const extension = path.extname(new URL(sidecarUrl).pathname).slice(1).toLowerCase();
+        const algorithm = ['md5', 'sha1', 'sha256', 'sha512'].includes(extension) ? extension : null;
+
+        // Sidecar files hold either a bare digest or a single "<digest>  <name>" line
+        const [digest] = content.trim().split(/\s+/);
+        return this.fileManager.parseChecksum(digest, algorithm);
+    }
+
+    async loadChecksumList(source) {
+        const content = HttpDownloader.isValidUrl(source)
+            ? await this.httpDownloader.fetchText(source)
+            : fs.readFileSync(source, 'utf8');
+
+        const checksums = this.fileManager.parseChecksumList(content);
+        this.logger.info(`Loaded ${checksums.size} checksums`, { source });
+        return checksums;
+    }
+
+    getRemoteFilename(url) {
+        try {
+            return path.basename(decodeURIComponent(new URL(url).pathname));
+        } catch {
+            return null;
         }
     }
 
     async downloadMultiple(urls, options = {}) {
         const concurrent = options.concurrent !== undefined
             ? options.concurrent
-            : this.config.download.maxConcurrent;
+            : this.config.get('download', 'maxConcurrent');
 
-        if (concurrent === 1) {
-            return await this.downloadSequentially(urls, options);
-        } else {
-            return await this.downloadConcurrently(urls, concurrent, options);
+        // Batch files can attach per-URL options such as a checksum
+        const list = urls.map(entry => typeof entry === 'string' ? { url: entry, options: {} } : entry);
+
+        // Each job remembers its batch, so running a batch again after it was interrupted
+        // continues the jobs it left and skips the files it already finished
+        const batch = this.getBatchId(list, options);
+        const previous = this.findInterruptedBatch(batch);
+        if (previous) {
+            this.logger.info('Continuing an interrupted batch', { batch, jobs: previous.size });
+        }
+
+        const entries = list.map((entry, index) => {
+            const earlier = previous?.get(index);
+            if (earlier?.state === 'completed') {
+                return { ...entry, jobId: earlier.id, priority: earlier.priority, finished: earlier };
+            }
+            if (earlier) {
+                if (earlier.state !== 'queued') {
+                    this.requeueDownload(earlier.id);
+                }
+                return { ...entry, jobId: earlier.id, priority: earlier.priority };
+            }
+
+            const job = this.addDownload(entry.url, { ...options, ...entry.options, batch: { id: batch, index } });
+            return { ...entry, jobId: job.id, priority: job.priority };
+        });
+
+        try {
+            if (concurrent === 1) {
+                return await this.downloadSequentially(entries, options);
+            } else {
+                return await this.downloadConcurrently(entries, concurrent, options);
+            }
+        } finally {
+            this.pruneBatch(batch);
         }
     }
 
-    async downloadSequentially(urls, options = {}) {
+    // A batch that ran to the end will not be continued, so its finished jobs can go;
+    // failed ones stay for "resume"
+    pruneBatch(batch) {
+        if (this.findInterruptedBatch(batch)) {
+            return;
+        }
+
+        for (const job of this.downloadQueue.list('completed')) {
+            if (job.options.batch?.id === batch) {
+                this.downloadQueue.remove(job.id);
+            }
+        }
+    }
+
+    getBatchId(entries, options = {}) {
+        const downloadDir = options.downloadDir || this.config.getDownloadDirectory();
+        const key = JSON.stringify([path.resolve(downloadDir), entries.map(entry => entry.url)]);
+        return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+    }
+
+    // The latest job for each entry of the batch, when its last run stopped part-way; a run
+    // that finished, even with failures, is not continued and the batch starts over
+    findInterruptedBatch(batch) {
+        const jobs = new Map();
+        for (const job of this.downloadQueue.list()) {
+            if (job.options.batch?.id === batch) {
+                jobs.set(job.options.batch.index, job);
+            }
+        }
+
+        const latest = Array.from(jobs.values());
+        const interrupted = latest.some(job => job.state === 'paused');
+        const running = latest.some(job => job.state === 'active' || this.downloadQueue.isOwnedElsewhere(job));
+
+        return interrupted && !running ? jobs : null;
+    }
+
+    // An entry finished before the interruption counts as unchanged instead of downloading again
+    async runEntry(entry, options) {
+        if (entry.finished) {
+            const { destination } = entry.finished;
+            this.logger.info('Already downloaded before the interruption', { url: entry.url, destination });
+            return { stats: { size: 0, duration: 0, averageSpeed: 0 }, destination, unchanged: true, jobId: entry.jobId };
+        }
+
+        return await this.runJob(entry.jobId, { ...options, ...entry.options });
+    }
+
+    async downloadSequentially(entries, options = {}) {
+        // High-priority entries go first, otherwise the file order is kept
+        entries = [...entries].sort((a, b) => SchedulingPolicy.rank(a.priority) - SchedulingPolicy.rank(b.priority));
+
         const results = [];
         const errors = [];
         const startTime = Date.now();
         let totalSize = 0;
 
-        for (let i = 0; i < urls.length; i++) {
-            const url = urls[i];
-            this.logger.info(`Starting download ${i + 1}/${urls.length}`, { url });
+        for (let i = 0; i < entries.length; i++) {
+            const { url, jobId } = entries[i];
+            this.logger.info(`Starting download ${i + 1}/${entries.length}`, { url, jobId });
 
             try {
-                const result = await this.downloadSingle(url, options);
+                const result = await this.runEntry(entries[i], options);
                 results.push({ url, result, success: true });
                 totalSize += result.stats?.size || 0;
             } catch (error) {
-                const errorInfo = { url, error: error.message, success: false };
+                const errorInfo = { url, error: error.message, code: error.code, success: false };
                 results.push(errorInfo);
                 errors.push(errorInfo);
 
@@ -92,124 +763,141 @@ class DownloadManager {
         const endTime = Date.now();
         const totalTime = (endTime - startTime) / 1000;
         const successCount = results.filter(r => r.success).length;
+        const verifiedCount = results.filter(r => r.result?.verified).length;
+        const unchangedCount = results.filter(r => r.result?.unchanged).length;
+        const checksumFailures = errors.filter(e => e.code === 'ECHECKSUM').length;
 
-        this.logger.info('Sequential downloads completed', {
-            total: urls.length,
+        const stats = {
+            total: entries.length,
             successful: successCount,
             failed: errors.length,
+            verified: verifiedCount,
+            checksumFailed: checksumFailures,
+            unchanged: unchangedCount,
             totalSize,
             totalTime
-        });
+        };
 
-        if (successCount > 0) {
-            this.notifications.notifyAllDownloadsComplete(successCount, totalSize, totalTime);
-        }
+        this.logger.info('Sequential downloads completed', stats);
+        this.emit('batchComplete', stats);
 
         return {
             results,
             errors,
-            stats: {
-                total: urls.length,
-                successful: successCount,
-                failed: errors.length,
-                totalSize,
-                totalTime
-            }
+            stats
         };
     }
 
-    async downloadConcurrently(urls, maxConcurrent, options = {}) {
+    async downloadConcurrently(entries, maxConcurrent, options = {}) {
         const results = [];
         const errors = [];
         const startTime = Date.now();
         let totalSize = 0;
 
-        // Create download promises with concurrency control
-        const downloadPromises = urls.map(async (url, index) => {
+        // Workers pull the next entry only when a slot (and a slot for its host) is free
+        const pool = new WorkerPool(async (entry) => {
+            const { url, index } = entry;
             try {
-                const result = await this.downloadSingle(url, options);
+                const result = await this.runEntry(entry, options);
                 const successResult = { url, result, success: true, index };
                 results.push(successResult);
                 totalSize += result.stats?.size || 0;
                 return successResult;
             } catch (error) {
-                const errorResult = { url, error: error.message, success: false, index };
+                const errorResult = { url, error: error.message, code: error.code, success: false, index };
                 results.push(errorResult);
                 errors.push(errorResult);
                 return errorResult;
             }
+        }, {
+            concurrency: maxConcurrent,
+            perHostLimit: this.config.get('download', 'maxPerHost') || 0,
+            hostDelay: this.config.get('download', 'hostDelay') || 0,
+            getHost: entry => this.getHost(entry.url),
+            getPriority: entry => entry.priority
         });
 
-        // Execute downloads with concurrency limit
-        const concurrentResults = await this.executeConcurrently(downloadPromises, maxConcurrent);
+        this.workerPools.add(pool);
+        try {
+            await pool.run(entries.map((entry, index) => ({ ...entry, index })));
+        } finally {
+            this.workerPools.delete(pool);
+        }
 
         const endTime = Date.now();
         const totalTime = (endTime - startTime) / 1000;
         const successCount = results.filter(r => r.success).length;
+        const verifiedCount = results.filter(r => r.result?.verified).length;
+        const unchangedCount = results.filter(r => r.result?.unchanged).length;
+        const checksumFailures = errors.filter(e => e.code === 'ECHECKSUM').length;
 
-        this.logger.info('Concurrent downloads completed', {
-            total: urls.length,
+        const stats = {
+            total: entries.length,
             successful: successCount,
             failed: errors.length,
+            verified: verifiedCount,
+            checksumFailed: checksumFailures,
+            unchanged: unchangedCount,
             totalSize,
             totalTime,
             maxConcurrent
-        });
+        };
 
-        if (successCount > 0) {
-            this.notifications.notifyAllDownloadsComplete(successCount, totalSize, totalTime);
-        }
+        this.logger.info('Concurrent downloads completed', stats);
+        this.emit('batchComplete', stats);
 
         return {
             results: results.sort((a, b) => a.index - b.index), // Maintain original order
             errors,
-            stats: {
-                total: urls.length,
-                successful: successCount,
-                failed: errors.length,
-                totalSize,
-                totalTime,
-                maxConcurrent
-            }
+            stats
         };
     }
 
-    async executeConcurrently(promises, maxConcurrent) {
-        const results = [];
-        const executing = [];
+    setConcurrency(maxConcurrent, maxPerHost) {
+        // Applies to batches already running as well as the ones started later
+        if (maxConcurrent !== undefined) {
+            WorkerPool.validateLimit(maxConcurrent, 'Concurrency', 1);
+            this.config.set('download', 'maxConcurrent', Number(maxConcurrent));
+            this.workerPools.forEach(pool => pool.setConcurrency(maxConcurrent));
+        }
 
-        for (const promise of promises) {
-            const p = Promise.resolve(promise).then(result => {
-                executing.splice(executing.indexOf(p), 1);
-                return result;
-            });
+        if (maxPerHost !== undefined) {
+            WorkerPool.validateLimit(maxPerHost, 'Per-host limit', 0);
+            this.config.set('download', 'maxPerHost', Number(maxPerHost));
+            this.workerPools.forEach(pool => pool.setPerHostLimit(maxPerHost));
+        }
 
-            results.push(p);
-            executing.push(p);
+        return {
+            maxConcurrent: this.config.get('download', 'maxConcurrent'),
+            maxPerHost: this.config.get('download', 'maxPerHost') || 0
+        };
+    }
 
-            if (executing.length >= maxConcurrent) {
-                await Promise.race(executing);
-            }
+    getHost(url) {
+        try {
+            // Magnet links and other host-less URLs are not limited per host
+            return new URL(url).host.toLowerCase() || null;
+        } catch {
+            return null;
         }
-
-        return Promise.all(results);
     }
 
     async downloadFromFile(filePath, options = {}) {
-        if (!fs.existsSync(filePath)) {
+        // Metalinks in particular are often published online, so a URL is read like a file
+        const isRemote = HttpDownloader.isValidUrl(filePath);
+        if (!isRemote && !fs.existsSync(filePath)) {
             throw new Error(`File not found: ${filePath}`);
         }
 
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const urls = this.parseUrlsFromContent(content);
+            await this.loadProtocolHandlers();
 
-            if (urls.length === 0) {
-                throw new Error('No valid URLs found in file');
-            }
+            const content = isRemote
+                ? await this.httpDownloader.fetchText(filePath, options)
+                : fs.readFileSync(filePath, 'utf8');
 
-            this.logger.info(`Found ${urls.length} URLs in file`, { filePath });
-            return await this.downloadMultiple(urls, options);
+            this.logger.info('Reading URL list', { filePath });
+            return await this.downloadFromContent(content, options);
 
         } catch (error) {
             this.logger.error('Failed to process download file', { filePath, error: error.message });
@@ -217,49 +905,120 @@ class DownloadManager {
         }
     }
 
-    parseUrlsFromContent(content) {
-        const lines = content.split('\n');
-        const urls = [];
+    // A URL list that is already in memory, such as one read from standard input
+    async downloadFromContent(content, options = {}) {
+        await this.loadProtocolHandlers();
 
-        for (let line of lines) {
-            line = line.trim();
+        const urls = this.parseUrlsFromContent(content);
+        if (urls.length === 0) {
+            throw new Error('No valid URLs found in list');
+        }
 
-            // Skip empty lines and comments
-            if (!line || line.startsWith('#') || line.startsWith('//')) {
-                continue;
-            }
+        this.logger.info(`Found ${urls.length} URLs in list`);
+        return await this.downloadMultiple(urls, options);
+    }
 
-            // Remove quotes if present
-            line = line.replace(/^["']|["']$/g, '');
+    async crawl(url, crawlOptions = {}, options = {}) {
+        try {
+            const entries = await this.siteCrawler.crawl(url, { ...crawlOptions, auth: options.auth, bearerToken: options.bearerToken });
 
-            // Validate URL
-            if (HttpDownloader.isValidUrl(line) || TorrentDownloader.isValidMagnetUri(line)) {
-                urls.push(line);
-            } else {
-                this.logger.warn('Invalid URL skipped', { url: line });
+            if (entries.length === 0) {
+                throw new Error('No files found to download');
             }
+
+            return await this.downloadMultiple(entries, options);
+
+        } catch (error) {
+            this.logger.error('Failed to crawl site', { url, error: error.message });
+            throw error;
         }
+    }
 
-        return urls;
+    parseUrlsFromContent(content) {
+        // Plain and aria2-style URL lists, CSV, JSON or YAML manifests and metalinks are told apart by content
+        return this.batchParser.parse(content);
     }
 
-    async pauseDownload(downloadId) {
-        // Implementation for pausing downloads
-        // This would require more complex state management
-        this.logger.info('Pause functionality not yet implemented', { downloadId });
+    getJob(jobId) {
+        const job = this.downloadQueue.get(jobId);
+        if (!job) {
+            throw new Error(`Unknown download: ${jobId}`);
+        }
+
+        return job;
     }
 
-    async resumeDownload(downloadId) {
-        // Implementation for resuming downloads
-        // This would require more complex state management
-        this.logger.info('Resume functionality not yet implemented', { downloadId });
+    getJobs(state = null) {
+        return this.downloadQueue.list(state);
     }
 
-    async cancelDownload(downloadId) {
-        // Implementation for canceling downloads
-        if (this.activeDownloads.has(downloadId)) {
-            this.activeDownloads.delete(downloadId);
-            this.logger.info('Download canceled', { downloadId });
+    async pauseDownload(jobId) {
+        const job = this.getJob(jobId);
+        const controller = this.activeDownloads.get(jobId);
+
+        if (job.state === 'active' && !controller) {
+            throw new Error(`Download ${jobId} is running in another process`);
+        }
+        if (job.state !== 'active' && job.state !== 'queued') {
+            throw new Error(`Cannot pause a ${job.state} download`);
+        }
+
+        // The transfer stops but its partial data and resume info stay on disk
+        this.downloadQueue.update(jobId, { state: 'paused' });
+        controller?.abort(abortReason('Download paused', 'EPAUSED'));
+
+        return this.downloadQueue.get(jobId);
+    }
+
+    requeueDownload(jobId) {
+        const job = this.getJob(jobId);
+
+        if (job.state !== 'paused' && job.state !== 'failed') {
+            throw new Error(`Cannot resume a ${job.state} download`);
+        }
+
+        return this.downloadQueue.update(jobId, { state: 'queued', pid: process.pid });
+    }
+
+    async resumeDownload(jobId, options = {}) {
+        this.requeueDownload(jobId);
+        return await this.runJob(jobId, options);
+    }
+
+    async cancelDownload(jobId) {
+        const job = this.getJob(jobId);
+        const controller = this.activeDownloads.get(jobId);
+
+        // An active job removes its own files once the transfer has stopped
+        if (controller) {
+            controller.abort(abortReason('Download canceled', 'ECANCELED'));
+            return;
+        }
+
+        if (job.state === 'active') {
+            throw new Error(`Download ${jobId} is running in another process`);
+        }
+
+        if (job.state !== 'completed') {
+            this.removeJobFiles(job);
+        }
+        this.downloadQueue.remove(jobId);
+        this.logger.info('Download canceled', { jobId, url: job.url });
+    }
+
+    // Only the part file goes; the destination holds nothing of an unfinished download,
+    // though it may hold an older file of the same name
+    removeJobFiles(job) {
+        if (!job?.partPath) {
+            return;
+        }
+
+        try {
+            // A torrent's part is a directory of files
+            fs.rmSync(job.partPath, { recursive: true, force: true });
+            this.fileManager.cleanupResumeInfo(job.partPath);
+        } catch (error) {
+            this.logger.warn('Could not remove partial download', { destination: job.partPath, error: error.message });
         }
     }
 
@@ -267,10 +1026,43 @@ class DownloadManager {
         return Array.from(this.activeDownloads.keys());
     }
 
+    // Stops everything this manager runs so that a later run continues it. Active jobs are
+    // paused and their downloaders write out what arrived and update the resume info before
+    // they settle; streams end and torrent clients are destroyed. Resolves with the jobs that
+    // were interrupted.
+    async shutdown() {
+        this.shuttingDown = true;
+
+        const interrupted = [];
+        for (const jobId of this.activeDownloads.keys()) {
+            try {
+                interrupted.push(await this.pauseDownload(jobId));
+            } catch (error) {
+                this.logger.debug('Could not pause download', { jobId, error: error.message });
+            }
+        }
+        for (const controller of this.activeStreams.keys()) {
+            controller.abort(abortReason('Shutting down', 'ESHUTDOWN'));
+        }
+
+        // Entries of a batch that had not started yet are left for the same command to
+        // continue, rather than for a daemon to pick up
+        for (const job of this.downloadQueue.list('queued')) {
+            if (job.pid === process.pid && job.options.batch) {
+                this.downloadQueue.update(job.id, { state: 'paused' });
+            }
+        }
+
+        await Promise.all([...this.runningJobs.values(), ...this.activeStreams.values()]);
+        await this.torrentDownloader.cleanupAll();
+        this.activeDownloads.clear();
+
+        return interrupted;
+    }
+
     cleanup() {
         this.torrentDownloader.cleanupAll();
         this.activeDownloads.clear();
-        this.downloadQueue = [];
     }
 }
 
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import SchedulingPolicy from './schedulingPolicy.js';
+
+const JOB_STATES = ['queued', 'active', 'paused', 'completed', 'failed'];
+
+// Credentials are not written to disk; a resumed job gets them again from the command line
+// or from .netrc
+const SECRET_OPTIONS = ['auth', 'bearerToken'];
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+// Finished jobs stay only while a batch or "resume" may need them, the history keeps the rest
+const FINISHED_JOB_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// A lock older than this was left behind by a process that died holding it
+const LOCK_STALE = 10000;
+const LOCK_TIMEOUT = 5000;
+const lockWait = new Int32Array(new SharedArrayBuffer(4));
+
+class DownloadQueue {
+    constructor(config) {
+        this.config = config;
+        this.queuePath = path.join(os.homedir(), '.jsdownloader', 'queue.json');
+        this.lockPath = `${this.queuePath}.lock`;
+    }
+
+    read() {
+        try {
+            if (!fs.existsSync(this.queuePath)) {
+                return [];
+            }
+
+            const jobs = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+
+            // A job left active by a process that no longer runs was interrupted; one it left
+            // queued never started and is free for whichever process runs the queue
+            return jobs.map(job => {
+                if (!this.isAbandoned(job)) {
+                    return job;
+                }
+                return job.state === 'active' ? { ...job, state: 'paused' } : { ...job, pid: null };
+            });
+        } catch (error) {
+            throw new Error(`Failed to read download queue: ${error.message}`);
+        }
+    }
+
+    write(jobs) {
+        const tempPath = `${this.queuePath}.${process.pid}.tmp`;
+        const now = Date.now();
+        const kept = jobs.filter(job =>
+            !['completed', 'failed'].includes(job.state) || now - Date.parse(job.updated) < FINISHED_JOB_TTL);
+
+        try {
+            fs.mkdirSync(path.dirname(this.queuePath), { recursive: true });
+
+            // Job options name files and URLs, so the queue is private to the user
+            fs.writeFileSync(tempPath, JSON.stringify(kept, null, 2), { mode: 0o600 });
+            fs.renameSync(tempPath, this.queuePath);
+        } catch (error) {
+            throw new Error(`Failed to save download queue: ${error.message}`);
+        }
+    }
+
+    add(url, options = {}) {
+        const { priority, startAt = null, window = null, ...jobOptions } = options;
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomBytes(4).toString('hex'),
+            url,
+            options: this.serializeOptions(jobOptions),
+            priority: SchedulingPolicy.normalizePriority(priority),
+            startAt,
+            window,
+            state: 'queued',
+            pid: process.pid,
+            destination: null,
+            error: null,
+            created: now,
+            updated: now
+        };
+
+        this.withLock(() => this.write([...this.read(), job]));
+        return job;
+    }
+
+    get(id) {
+        return this.read().find(job => job.id === id) || null;
+    }
+
+    list(state = null) {
+        const jobs = this.read();
+        return state ? jobs.filter(job => job.state === state) : jobs;
+    }
+
+    update(id, changes) {
+        if (changes.state && !JOB_STATES.includes(changes.state)) {
+            throw new Error(`Invalid job state: ${changes.state}`);
+        }
+        if (changes.priority) {
+            changes = { ...changes, priority: SchedulingPolicy.normalizePriority(changes.priority) };
+        }
+
+        return this.withLock(() => {
+            const jobs = this.read();
+            const job = jobs.find(entry => entry.id === id);
+            if (!job) {
+                return null;
+            }
+
+            Object.assign(job, changes, { updated: new Date().toISOString() });
+            if (changes.options) {
+                job.options = this.serializeOptions(changes.options);
+            }
+
+            this.write(jobs);
+            return job;
+        });
+    }
+
+    remove(id) {
+        return this.withLock(() => {
+            const jobs = this.read();
+            const remaining = jobs.filter(job => job.id !== id);
+
+            if (remaining.length === jobs.length) {
+                return false;
+            }
+
+            this.write(remaining);
+            return true;
+        });
+    }
+
+    serializeOptions(options) {
+        // Runtime-only values such as abort signals, callbacks and checksum lists are not kept
+        const { headers, ...rest } = options;
+        for (const key of SECRET_OPTIONS) {
+            delete rest[key];
+        }
+        if (headers) {
+            rest.headers = Object.fromEntries(Object.entries(headers)
+                .filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase())));
+        }
+
+        return JSON.parse(JSON.stringify(rest, (key, value) =>
+            value instanceof Map || value instanceof AbortSignal ? undefined : value));
+    }
+
+    // Every change reads the queue again and writes it back under a lock file, so the daemon
+    // and a foreground run never undo each other's updates. Queue operations are synchronous,
+    // and so is waiting for the lock.
+    withLock(fn) {
+        fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+        const deadline = Date.now() + LOCK_TIMEOUT;
+
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new Error(`Failed to lock download queue: ${error.message}`);
+                }
+                if (this.isStaleLock()) {
+                    fs.rmSync(this.lockPath, { force: true });
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error('Download queue is locked by another process');
+                }
+                Atomics.wait(lockWait, 0, 0, 10);
+            }
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    isStaleLock() {
+        try {
+            const pid = parseInt(fs.readFileSync(this.lockPath, 'utf8'), 10);
+            const age = Date.now() - fs.statSync(this.lockPath).mtimeMs;
+            return age > LOCK_STALE || (pid > 0 && !this.isProcessAlive(pid));
+        } catch {
+            // Released in the meantime
+            return false;
+        }
+    }
+
+    isAbandoned(job) {
+        if (job.state === 'active') {
+            return !this.isProcessAlive(job.pid);
+        }
+
+        return job.state === 'queued' && Boolean(job.pid) && !this.isProcessAlive(job.pid);
+    }
+
+    isOwnedElsewhere(job) {
+        // Queued and active jobs belong to the process that created or started them
+        return Boolean(job.pid) && job.pid !== process.pid && this.isProcessAlive(job.pid);
+    }
+
+    isProcessAlive(pid) {
+        if (!pid) {
+            return false;
+        }
+
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+export default DownloadQueue;
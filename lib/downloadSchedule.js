@@ -0,0 +1,200 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_GROUPS = {
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+const TIME_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Timers cannot wait longer than this, later wake-ups are simply re-armed
+const MAX_TIMER_DELAY = 2147483647;
+
+class DownloadSchedule {
+    constructor(config) {
+        this.config = config;
+    }
+
+    getWindows() {
+        const windows = this.config.get('download', 'windows') || [];
+        return windows.map((window, index) => this.parseWindow(window, index));
+    }
+
+    hasWindows() {
+        return this.getWindows().length > 0;
+    }
+
+    parseWindow(window, index) {
+        const label = window?.name ? `"${window.name}"` : index + 1;
+
+        try {
+            return {
+                name: window.name || null,
+                days: this.parseDays(window.days),
+                start: DownloadSchedule.parseClock(window.start),
+                end: DownloadSchedule.parseClock(window.end),
+                // KB/s like the bandwidth section, 0 lifts the limit while the window is open
+                downloadLimit: window.downloadLimit ?? null
+            };
+        } catch (error) {
+            throw new Error(`Invalid download window ${label}: ${error.message}`);
+        }
+    }
+
+    parseDays(days) {
+        if (!days) {
+            return new Set([0, 1, 2, 3, 4, 5, 6]);
+        }
+
+        const result = new Set();
+        for (const day of [].concat(days)) {
+            const name = String(day).toLowerCase();
+
+            if (DAY_GROUPS[name]) {
+                DAY_GROUPS[name].forEach(index => result.add(index));
+            } else if (DAY_NAMES.includes(name.slice(0, 3))) {
+                result.add(DAY_NAMES.indexOf(name.slice(0, 3)));
+            } else {
+                throw new Error(`unknown day "${day}"`);
+            }
+        }
+
+        return result;
+    }
+
+    validateWindow(name) {
+        const windows = this.getWindows();
+
+        if (windows.length === 0) {
+            throw new Error('No download windows are configured (download.windows)');
+        }
+        if (typeof name === 'string' && !windows.some(window => window.name === name)) {
+            throw new Error(`Unknown download window: ${name}`);
+        }
+    }
+
+    isWindowOpen(window, now = new Date()) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const today = now.getDay();
+        const yesterday = (today + 6) % 7;
+
+        if (window.start === window.end) {
+            return window.days.has(today);
+        }
+        if (window.start < window.end) {
+            return window.days.has(today) && minutes >= window.start && minutes < window.end;
+        }
+
+        // A window such as 22:00-06:00 belongs to the day it starts on
+        return (window.days.has(today) && minutes >= window.start) ||
+               (window.days.has(yesterday) && minutes < window.end);
+    }
+
+    getOpenWindows(now = new Date()) {
+        return this.getWindows().filter(window => this.isWindowOpen(window, now));
+    }
+
+    // A job's window is either true (any configured window) or the name of one
+    isJobWindowOpen(job, now = new Date()) {
+        if (!job.window) {
+            return true;
+        }
+
+        return this.getOpenWindows(now)
+            .some(window => job.window === true || window.name === job.window);
+    }
+
+    isRunnable(job, now = new Date()) {
+        if (job.startAt && new Date(job.startAt) > now) {
+            return false;
+        }
+
+        return this.isJobWindowOpen(job, now);
+    }
+
+    getDownloadLimit(now = new Date()) {
+        // Overlapping windows apply the strictest cap; null means the bandwidth section decides
+        const limits = this.getOpenWindows(now)
+            .map(window => window.downloadLimit)
+            .filter(limit => limit !== null);
+
+        if (limits.length === 0) {
+            return null;
+        }
+
+        const capped = limits.filter(limit => limit > 0);
+        return capped.length > 0 ? Math.min(...capped) * 1024 : 0;
+    }
+
+    getNextChange(jobs = [], now = new Date()) {
+        const times = [];
+
+        for (const window of this.getWindows()) {
+            // Start one day back so a window that began yesterday still yields its end
+            for (let offset = -1; offset <= 7; offset++) {
+                const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+                if (!window.days.has(day.getDay())) {
+                    continue;
+                }
+
+                const endOffset = window.end <= window.start ? 1 : 0;
+                times.push(
+                    new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, window.start),
+                    new Date(day.getFullYear(), day.getMonth(), day.getDate() + endOffset, 0, window.end)
+                );
+            }
+        }
+
+        for (const job of jobs) {
+            if (job.startAt) {
+                times.push(new Date(job.startAt));
+            }
+        }
+
+        const upcoming = times.filter(time => time > now).map(time => time - now);
+        return upcoming.length > 0 ? Math.min(Math.min(...upcoming), MAX_TIMER_DELAY) : null;
+    }
+
+    static parseClock(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+        if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59) {
+            throw new Error(`expected a time such as "01:30", got "${value}"`);
+        }
+
+        return Math.min(parseInt(match[1], 10) * 60 + parseInt(match[2], 10), 24 * 60);
+    }
+
+    static parseStartTime(value, now = new Date()) {
+        const text = String(value).trim();
+
+        // "23:30" is the next time the clock shows 23:30
+        if (/^\d{1,2}:\d{2}$/.test(text)) {
+            const minutes = DownloadSchedule.parseClock(text);
+            const start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, minutes);
+            if (start <= now) {
+                start.setDate(start.getDate() + 1);
+            }
+            return start;
+        }
+
+        // "30m", "2h" or "1d" from now
+        const match = /^(\d+)\s*([mhdw])$/i.exec(text);
+        if (match) {
+            return new Date(now.getTime() + parseInt(match[1], 10) * TIME_UNITS[match[2].toLowerCase()]);
+        }
+
+        const date = new Date(text);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid start time: ${value}`);
+        }
+
+        return date;
+    }
+}
+
+export default DownloadSchedule;
@@ -2,10 +2,22 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import mime from 'mime-types';
+import TimestampStore from './timestampStore.js';
+
+// Hex digest length for each supported algorithm, used when a digest comes without one
+const DIGEST_ALGORITHMS = {
+    32: 'md5',
+    40: 'sha1',
+    64: 'sha256',
+    128: 'sha512'
+};
 
 class FileManager {
     constructor(config) {
         this.config = config;
+        this.timestampStore = new TimestampStore(config);
+        // Part files taken by downloads running in this process
+        this.partFiles = new Set();
     }
 
     ensureDirectoryExists(dirPath) {
@@ -81,15 +93,142 @@ class FileManager {
         return newPath;
     }
 
-    getDestinationPath(url, baseDir) {
-        const filename = this.extractFilename(url);
+    getDestinationPath(url, baseDir, headers = {}, options = {}) {
+        // A name given for the download wins over anything the server or URL suggests
+        const filename = options.filename ? this.sanitizeFilename(options.filename) : this.resolveFilename(url, headers);
         const typeDir = this.getFileTypeDirectory(filename);
         const fullDir = typeDir ? path.join(baseDir, typeDir) : baseDir;
 
         this.ensureDirectoryExists(fullDir);
 
-        const filePath = path.join(fullDir, filename);
-        return this.handleDuplicateFile(filePath);
+        // An existing file under this name is only dealt with once the download is complete
+        // and moved into place, see commitPartFile
+        return path.join(fullDir, filename);
+    }
+
+    // Where a download is written until it has been checked: "<name>.part" beside the
+    // destination, or in download.incompleteDirectory (relative to the destination's directory).
+    // A part file left by the same URL, or one of its mirrors, is continued; one that belongs
+    // to another download, running or interrupted, is left alone and a numbered one used instead.
+    claimPartFile(destination, urls = []) {
+        const incompleteDir = this.config.get('download', 'incompleteDirectory');
+        const dir = path.resolve(path.dirname(destination), incompleteDir || '.');
+        const name = path.basename(destination);
+
+        this.ensureDirectoryExists(dir);
+
+        for (let counter = 0; ; counter++) {
+            const partPath = path.join(dir, counter === 0 ? `${name}.part` : `${name} (${counter}).part`);
+            if (this.partFiles.has(partPath)) {
+                continue;
+            }
+
+            const owner = fs.existsSync(partPath) ? this.getResumeInfo(partPath)?.url : null;
+            if (!owner || urls.includes(owner)) {
+                this.partFiles.add(partPath);
+                return partPath;
+            }
+        }
+    }
+
+    releasePartFile(partPath) {
+        this.partFiles.delete(partPath);
+    }
+
+    // Moves a finished download into place. options.verify, passed down by the download manager,
+    // checks the part file first; when it fails the part file stays where it is for a retry or
+    // repair. Returns the path the file ended up at.
+    async commitPartFile(partPath, destination, options = {}, details = {}) {
+        const failure = await options.verify?.({ ...details, destination: partPath });
+        if (failure) {
+            const error = new Error(`${failure.message} for ${path.basename(destination)}`);
+            error.code = 'EVERIFY';
+            error.failure = failure;
+            error.partPath = partPath;
+            error.destination = destination;
+            throw error;
+        }
+
+        const finalPath = this.moveIntoPlace(partPath, destination, options);
+        this.cleanupResumeInfo(partPath);
+        return finalPath;
+    }
+
+    // download.duplicateHandling applies to whatever is at the destination by the time the
+    // download is done; timestamping replaces the older copy it compared against
+    moveIntoPlace(source, destination, options = {}) {
+        let finalPath;
+        try {
+            finalPath = this.isTimestamping(options) ? destination : this.handleDuplicateFile(destination);
+        } catch (error) {
+            fs.rmSync(source, { recursive: true, force: true });
+            this.cleanupResumeInfo(source);
+            throw error;
+        }
+
+        this.ensureDirectoryExists(path.dirname(finalPath));
+        try {
+            fs.renameSync(source, finalPath);
+        } catch (error) {
+            // An incomplete directory on another filesystem needs a copy
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            fs.cpSync(source, finalPath, { recursive: true });
+            fs.rmSync(source, { recursive: true, force: true });
+        }
+
+        return finalPath;
+    }
+
+    resolveFilename(url, headers = {}) {
+        const suggested = this.parseContentDisposition(headers['content-disposition']);
+        let filename = suggested
+            ? this.sanitizeFilename(path.basename(suggested.replace(/\\/g, '/')))
+            : this.extractFilename(url);
+
+        // Names such as "." or ".." would point outside the download directory
+        if (/^\.*$/.test(filename)) {
+            filename = this.extractFilename(url);
+        }
+
+        // Borrow an extension from the Content-Type when neither source provided one
+        const contentType = headers['content-type'];
+        if (!path.extname(filename) && contentType && !contentType.startsWith('application/octet-stream')) {
+            const extension = mime.extension(contentType);
+            if (extension) {
+                filename += `.${extension}`;
+            }
+        }
+
+        return filename;
+    }
+
+    parseContentDisposition(header) {
+        if (!header) {
+            return null;
+        }
+
+        const params = {};
+        const paramPattern = /;\s*([\w*-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g;
+        let match;
+
+        while ((match = paramPattern.exec(header)) !== null) {
+            params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+        }
+
+        // RFC 5987 "filename*=UTF-8''%E2%82%AC.pdf" wins over the plain filename
+        const extended = /^([\w!#$%&+^`{}~-]+)'[^']*'(.*)$/.exec(params['filename*'] || '');
+        const charset = extended?.[1].toLowerCase();
+        if (charset === 'utf-8' || charset === 'iso-8859-1') {
+            const bytes = Buffer.from(
+                extended[2].replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+                'latin1'
+            );
+            return bytes.toString(charset === 'utf-8' ? 'utf8' : 'latin1');
+        }
+
+        return params.filename || null;
     }
 
     extractFilename(url) {
@@ -129,6 +268,56 @@ class FileManager {
         return sanitized || 'download';
     }
 
+    isTimestamping(options = {}) {
+        return options.timestamping ?? this.config.get('download', 'timestamping') ?? false;
+    }
+
+    // Like wget -N: a complete local file as new as the remote one and of the same size is kept
+    isUpToDate(filePath, remote = {}) {
+        const local = this.getFileStats(filePath);
+        const remoteModified = remote.modified ? new Date(remote.modified) : null;
+
+        if (!local.exists || !remoteModified || isNaN(remoteModified) || this.getResumeInfo(filePath)) {
+            return false;
+        }
+        if (remote.size && remote.size !== local.size) {
+            return false;
+        }
+
+        // Servers report whole seconds
+        return Math.floor(local.modified.getTime() / 1000) >= Math.floor(remoteModified.getTime() / 1000);
+    }
+
+    getTimestampInfo(filePath, url) {
+        // A stored ETag only speaks for the file as it was downloaded, not after local changes
+        const record = this.timestampStore.get(filePath);
+        const local = this.getFileStats(filePath);
+
+        if (!record || !local.exists || record.url !== url ||
+            record.size !== local.size || record.mtime !== local.modified.getTime()) {
+            return null;
+        }
+
+        return record;
+    }
+
+    saveTimestampInfo(filePath, url, remote = {}) {
+        // The file takes the server's modification time so the next run compares like with like
+        const modified = remote.modified ? new Date(remote.modified) : null;
+        if (modified && !isNaN(modified)) {
+            fs.utimesSync(filePath, modified, modified);
+        }
+
+        const stats = fs.statSync(filePath);
+        this.timestampStore.set(filePath, {
+            url,
+            etag: remote.etag || null,
+            lastModified: modified && !isNaN(modified) ? modified.toISOString() : null,
+            size: stats.size,
+            mtime: stats.mtime.getTime()
+        });
+    }
+
     calculateChecksum(filePath, algorithm = 'sha256') {
         return new Promise((resolve, reject) => {
             const hash = crypto.createHash(algorithm);
@@ -148,19 +337,118 @@ class FileManager {
         });
     }
 
-    async verifyFile(filePath, expectedChecksum, algorithm = 'sha256') {
-        if (!this.config.get('verification', 'enabled') || !expectedChecksum) {
+    async verifyFile(filePath, expectedChecksum, algorithm = 'sha256', actualChecksum = null) {
+        if (!expectedChecksum) {
             return true;
         }
 
         try {
-            const actualChecksum = await this.calculateChecksum(filePath, algorithm);
-            return actualChecksum.toLowerCase() === expectedChecksum.toLowerCase();
+            // Downloaders hash while streaming; only fall back to reading the file when they could not
+            const checksum = actualChecksum || await this.calculateChecksum(filePath, algorithm);
+            return checksum.toLowerCase() === expectedChecksum.toLowerCase();
         } catch (error) {
             throw new Error(`Checksum verification failed: ${error.message}`);
         }
     }
 
+    // Indexes of the pieces whose hash does not match, so only those need downloading again
+    async findCorruptPieces(filePath, pieces) {
+        const { algorithm, length, hashes } = pieces;
+        const corrupt = [];
+        let index = 0;
+        let filled = 0;
+        let hash = crypto.createHash(algorithm);
+
+        const finishPiece = () => {
+            if (hash.digest('hex') !== hashes[index]) {
+                corrupt.push(index);
+            }
+            index++;
+            filled = 0;
+            hash = crypto.createHash(algorithm);
+        };
+
+        try {
+            for await (const chunk of fs.createReadStream(filePath)) {
+                for (let offset = 0; offset < chunk.length;) {
+                    const take = Math.min(length - filled, chunk.length - offset);
+                    hash.update(chunk.subarray(offset, offset + take));
+                    filled += take;
+                    offset += take;
+
+                    if (filled === length) {
+                        finishPiece();
+                    }
+                }
+            }
+        } catch (error) {
+            throw new Error(`Piece verification failed: ${error.message}`);
+        }
+
+        if (filled > 0) {
+            finishPiece();
+        }
+
+        // Pieces beyond the end of a short file are missing altogether
+        for (; index < hashes.length; index++) {
+            corrupt.push(index);
+        }
+
+        return corrupt;
+    }
+
+    parseChecksum(value, algorithm = null) {
+        // Accepts "sha256:<hex>", "sha256=<hex>", aria2's "sha-256=<hex>" or a bare digest
+        // whose length implies the algorithm
+        const match = /^(?:(md5|sha-?1|sha-?256|sha-?512)[:=])?([a-f0-9]+)$/i.exec(String(value).trim());
+        if (!match) {
+            throw new Error(`Invalid checksum: ${value}`);
+        }
+
+        const digest = match[2].toLowerCase();
+        const resolvedAlgorithm = match[1]?.toLowerCase().replace('-', '') || algorithm || DIGEST_ALGORITHMS[digest.length];
+        if (!resolvedAlgorithm) {
+            throw new Error(`Cannot determine checksum algorithm for: ${value}`);
+        }
+
+        return { algorithm: resolvedAlgorithm, digest };
+    }
+
+    parseChecksumList(content) {
+        // GNU coreutils ("<hex>  name", "<hex> *name") and BSD ("SHA256 (name) = <hex>") formats
+        const checksums = new Map();
+
+        for (let line of content.split('\n')) {
+            line = line.trim();
+
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const bsd = /^(MD5|SHA1|SHA256|SHA512) \((.+)\) = ([a-f0-9]+)$/i.exec(line);
+            const gnu = /^([a-f0-9]+)\s+\*?(.+)$/i.exec(line);
+
+            if (bsd) {
+                checksums.set(path.basename(bsd[2]), this.parseChecksum(bsd[3], bsd[1].toLowerCase()));
+            } else if (gnu) {
+                checksums.set(path.basename(gnu[2]), this.parseChecksum(gnu[1]));
+            }
+        }
+
+        return checksums;
+    }
+
+    quarantineFile(filePath, baseDir, filename = path.basename(filePath)) {
+        const quarantineDir = path.join(baseDir, this.config.get('verification', 'quarantineDirectory') || 'quarantine');
+        this.ensureDirectoryExists(quarantineDir);
+
+        const quarantinePath = this.generateUniqueFilename(path.join(quarantineDir, filename));
+        fs.renameSync(filePath, quarantinePath);
+        this.cleanupResumeInfo(filePath);
+
+        return quarantinePath;
+    }
+
     getFileStats(filePath) {
         try {
             const stats = fs.statSync(filePath);
@@ -180,14 +468,15 @@ class FileManager {
         }
     }
 
-    createResumeInfo(filePath, url, totalSize) {
+    createResumeInfo(filePath, url, totalSize, extra = {}) {
         const resumeInfoPath = filePath + '.resume';
         const resumeInfo = {
             url,
             totalSize,
             downloadedSize: 0,
             created: new Date().toISOString(),
-            lastModified: new Date().toISOString()
+            lastModified: new Date().toISOString(),
+            ...extra
         };
 
         try {
@@ -213,12 +502,13 @@ class FileManager {
         return null;
     }
 
-    updateResumeInfo(filePath, downloadedSize) {
+    updateResumeInfo(filePath, downloadedSize, extra = {}) {
         const resumeInfoPath = filePath + '.resume';
 
         try {
             if (fs.existsSync(resumeInfoPath)) {
                 const resumeData = JSON.parse(fs.readFileSync(resumeInfoPath, 'utf8'));
+                Object.assign(resumeData, extra);
                 resumeData.downloadedSize = downloadedSize;
                 resumeData.lastModified = new Date().toISOString();
                 fs.writeFileSync(resumeInfoPath, JSON.stringify(resumeData, null, 2));
@@ -228,6 +518,42 @@ class FileManager {
         }
     }
 
+    // Records how much of an interrupted download is on disk once its file is closed, so the
+    // next attempt, or the next run after a shutdown, continues right after it
+    async closePartialFile(filePath, writeStream = null) {
+        if (writeStream && !writeStream.closed) {
+            const closed = new Promise(resolve => writeStream.once('close', resolve));
+            writeStream.end();
+            await closed;
+        }
+
+        if (fs.existsSync(filePath)) {
+            this.updateResumeInfo(filePath, fs.statSync(filePath).size);
+        }
+    }
+
+    // Compares what reached the part file with the size the server advertised. A transfer
+    // that ended early fails with its resume info brought up to date, so the retry continues
+    // after the last byte written; a file that grew past the size cannot be continued.
+    checkPartFile(partPath, expectedSize) {
+        const { size } = this.getFileStats(partPath);
+        if (!expectedSize || size === expectedSize) {
+            return;
+        }
+
+        let error;
+        if (size < expectedSize) {
+            this.updateResumeInfo(partPath, size);
+            error = new Error(`Transfer ended after ${size} of ${expectedSize} bytes`);
+            error.code = 'ETRUNCATED';
+        } else {
+            this.cleanupResumeInfo(partPath);
+            error = new Error(`Received ${size} bytes, expected ${expectedSize}`);
+            error.code = 'ESIZE';
+        }
+        throw error;
+    }
+
     cleanupResumeInfo(filePath) {
         const resumeInfoPath = filePath + '.resume';
 
@@ -1,89 +1,141 @@
 import FTP from 'ftp';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { URL } from 'url';
+import ProxyManager from './proxyManager.js';
+
+// Replies in the 500s ("550 No such file", "530 Login incorrect") are permanent and those in
+// the 400s temporary; system errors keep their code for the retry policy to judge
+const ftpError = (message, error) => {
+    const wrapped = new Error(`${message}: ${error.message}`);
+    wrapped.code = error.code;
+    if (typeof error.code === 'number') {
+        wrapped.retryable = error.code < 500;
+    }
+    return wrapped;
+};
 
 class FtpDownloader {
-    constructor(config, logger, progressDisplay, fileManager, notifications) {
+    static protocol = {
+        name: 'ftp',
+        schemes: ['ftp:'],
+        destination: 'file'
+    };
+
+    constructor(config, logger, events, fileManager, bandwidthLimiter, retryPolicy) {
         this.config = config;
         this.logger = logger;
-        this.progressDisplay = progressDisplay;
+        this.events = events;
         this.fileManager = fileManager;
-        this.notifications = notifications;
+        this.bandwidthLimiter = bandwidthLimiter;
+        this.retryPolicy = retryPolicy;
+        this.proxyManager = new ProxyManager(config);
     }
 
     async download(url, destination, options = {}) {
         const downloadId = `ftp_${Date.now()}_${Math.random()}`;
         const filename = path.basename(destination);
+        const partPath = this.fileManager.claimPartFile(destination, [url, ...(options.mirrors || [])]);
         
         try {
             this.logger.logDownloadStart(url, destination);
+            this.bandwidthLimiter.register(downloadId, options.limitRate);
+            options.onDestination?.(destination, partPath);
             
-            const result = await this.downloadWithRetry(url, destination, downloadId, options);
+            const result = await this.downloadWithRetry(url, destination, partPath, downloadId, options);
+            if (result.unchanged) {
+                return result;
+            }
             
-            this.progressDisplay.completeDownload(downloadId);
-            this.notifications.notifyDownloadComplete(filename, result.stats);
-            this.logger.logDownloadComplete(url, destination, result.stats);
+            result.destination = await this.fileManager.commitPartFile(partPath, destination, options, {
+                checksum: result.checksum
+            });
+            if (this.fileManager.isTimestamping(options)) {
+                this.fileManager.saveTimestampInfo(result.destination, url, { modified: result.remoteModified });
+            }
+            this.events.emit('complete', { id: downloadId, url, destination: result.destination, stats: result.stats });
+            this.logger.logDownloadComplete(url, result.destination, result.stats);
             
             return result;
             
         } catch (error) {
-            this.progressDisplay.errorDownload(downloadId, error.message);
-            this.notifications.notifyDownloadError(filename, error.message);
-            this.logger.logDownloadError(url, error);
+            const aborted = Boolean(options.signal?.aborted);
+            this.events.emit('error', { id: downloadId, url, filename, error, aborted });
+            if (!aborted) {
+                this.logger.logDownloadError(url, error);
+            }
             throw error;
+        } finally {
+            this.bandwidthLimiter.unregister(downloadId);
+            this.fileManager.releasePartFile(partPath);
         }
     }
 
-    async downloadWithRetry(url, destination, downloadId, options = {}) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.config.download.maxRetries; attempt++) {
-            try {
-                return await this.performDownload(url, destination, downloadId, options);
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < this.config.download.maxRetries) {
-                    const delay = this.config.download.retryDelay * Math.pow(2, attempt - 1);
-                    this.logger.warn(`FTP download attempt ${attempt} failed, retrying in ${delay}ms`, {
-                        url,
-                        error: error.message
-                    });
-                    await this.sleep(delay);
-                } else {
-                    this.logger.error(`All ${this.config.download.maxRetries} FTP download attempts failed`, {
-                        url,
-                        error: error.message
-                    });
-                }
-            }
-        }
-        
-        throw lastError;
+    async downloadWithRetry(url, destination, partPath, downloadId, options = {}) {
+        return this.retryPolicy.run(
+            [url],
+            () => this.performDownload(url, destination, partPath, downloadId, options),
+            { protocol: 'ftp', signal: options.signal, label: 'FTP download' }
+        );
     }
 
-    performDownload(url, destination, downloadId, options = {}) {
+    // Writes to partPath; destination is the file a timestamping run compares against
+    performDownload(url, destination, partPath, downloadId, options = {}) {
         return new Promise((resolve, reject) => {
+            if (options.signal?.aborted) {
+                reject(options.signal.reason);
+                return;
+            }
+
             const startTime = Date.now();
             const urlObj = new URL(url);
             
             const client = new FTP();
-            
-            const connectionOptions = {
-                host: urlObj.hostname,
-                port: urlObj.port || this.config.protocols.ftp.port,
-                user: urlObj.username || 'anonymous',
-                password: urlObj.password || 'anonymous@',
-                connTimeout: this.config.protocols.ftp.timeout,
-                pasvTimeout: this.config.protocols.ftp.timeout,
-                keepalive: 10000
+            const connectionOptions = this.getConnectionOptions(urlObj);
+
+            const relays = [];
+            client.on('close', () => relays.forEach(relay => relay.close()));
+
+            // Pausing or canceling drops the connection, leaving the partial file in place with
+            // everything that arrived written out
+            let writeStream = null;
+            let throttle = null;
+            const onAbort = () => {
+                client.destroy();
+                if (!writeStream) {
+                    reject(options.signal.reason);
+                    return;
+                }
+
+                throttle.unpipe(writeStream);
+                this.fileManager.closePartialFile(partPath, writeStream).then(() => reject(options.signal.reason));
             };
+            options.signal?.addEventListener('abort', onAbort, { once: true });
+            client.on('close', () => options.signal?.removeEventListener('abort', onAbort));
+
+            // Continue a partial file when an earlier attempt left resume info behind
+            const enableResume = this.config.get('download', 'enableResume');
+            const resumeInfo = enableResume && fs.existsSync(partPath) ? this.fileManager.getResumeInfo(partPath) : null;
+            let startByte = resumeInfo ? fs.statSync(partPath).size : 0;
 
             client.on('ready', () => {
                 this.logger.debug('FTP connection established', { host: urlObj.hostname });
                 
                 const remotePath = decodeURIComponent(urlObj.pathname);
+
+                // MDTM is queued ahead of SIZE, so its answer is in by the time the size arrives
+                const timestamping = this.fileManager.isTimestamping(options);
+                let remoteModified = null;
+                if (timestamping) {
+                    client.lastMod(remotePath, (err, date) => {
+                        // MDTM is UTC but the library reads it as local time
+                        remoteModified = err ? null : new Date(Date.UTC(
+                            date.getFullYear(), date.getMonth(), date.getDate(),
+                            date.getHours(), date.getMinutes(), date.getSeconds()
+                        ));
+                    });
+                }
                 
                 // Get file size first
                 client.size(remotePath, (err, size) => {
@@ -92,34 +144,88 @@ class FtpDownloader {
                         size = 0;
                     }
 
+                    if (timestamping && startByte === 0 && this.fileManager.isUpToDate(destination, { size, modified: remoteModified })) {
+                        client.end();
+                        this.logger.info('Remote file unchanged, keeping the local copy', { url, destination });
+                        resolve({ stats: { size: 0, duration: 0, averageSpeed: 0 }, destination, unchanged: true });
+                        return;
+                    }
+
+                    // A partial file left by a segmented HTTP mirror, or one of another size, cannot be appended to
+                    if (startByte > 0 && (resumeInfo.segments || (resumeInfo.totalSize && size && resumeInfo.totalSize !== size))) {
+                        this.logger.warn('Partial file does not match this mirror, starting over', { url });
+                        startByte = 0;
+                    }
+
                     // Initialize progress display
-                    this.progressDisplay.startDownload(downloadId, path.basename(destination), size);
+                    this.events.emit('start', { id: downloadId, url, filename: path.basename(destination), totalSize: size });
+
+                    if (enableResume && startByte === 0 && size > 0) {
+                        this.fileManager.createResumeInfo(partPath, url, size);
+                    }
+
+                    // Start download, asking the server to skip what we already have
+                    const startTransfer = (callback) => startByte > 0
+                        ? client.restart(startByte, (err) => err ? callback(err) : client.get(remotePath, callback))
+                        : client.get(remotePath, callback);
 
-                    // Start download
-                    client.get(remotePath, (err, stream) => {
+                    if (startByte > 0) {
+                        this.logger.info(`Resuming FTP download from byte ${startByte}`, { url });
+                    }
+
+                    startTransfer((err, stream) => {
                         if (err) {
                             client.end();
-                            reject(new Error(`FTP get error: ${err.message}`));
+                            reject(ftpError('FTP get error', err));
                             return;
                         }
 
-                        const writeStream = fs.createWriteStream(destination);
-                        let downloaded = 0;
+                        writeStream = fs.createWriteStream(partPath, {
+                            flags: startByte > 0 ? 'a' : 'w'
+                        });
+                        throttle = this.bandwidthLimiter.throttle(downloadId);
+
+                        // A resumed file is hashed in full once it completes
+                        const hash = options.checksum && startByte === 0
+                            ? crypto.createHash(options.checksum.algorithm)
+                            : null;
+                        let downloaded = startByte;
                         let lastProgressUpdate = Date.now();
 
                         stream.on('data', (chunk) => {
                             downloaded += chunk.length;
+                            hash?.update(chunk);
                             
                             // Update progress at configured intervals
                             const now = Date.now();
-                            if (now - lastProgressUpdate >= this.config.progress.updateInterval) {
-                                this.progressDisplay.updateProgress(downloadId, downloaded, size);
+                            if (now - lastProgressUpdate >= this.config.get('progress', 'updateInterval')) {
+                                this.events.emit('progress', { id: downloadId, url, downloaded, totalSize: size });
                                 lastProgressUpdate = now;
                             }
                         });
 
                         stream.on('close', () => {
                             client.end();
+
+                            // A data connection dropped without an end still gets what arrived
+                            // written out; the size check tells whether that was everything
+                            if (!stream.readableEnded && !writeStream.writableEnded && !options.signal?.aborted) {
+                                throttle.unpipe(writeStream);
+                                writeStream.end();
+                            }
+                        });
+
+                        writeStream.on('finish', () => {
+                            if (options.signal?.aborted) {
+                                return;
+                            }
+
+                            try {
+                                this.fileManager.checkPartFile(partPath, size);
+                            } catch (error) {
+                                reject(error);
+                                return;
+                            }
                             
                             const endTime = Date.now();
                             const duration = (endTime - startTime) / 1000;
@@ -129,34 +235,140 @@ class FtpDownloader {
                                 averageSpeed: downloaded / duration
                             };
                             
-                            resolve({ stats, destination });
+                            resolve({ stats, checksum: hash?.digest('hex'), remoteModified });
                         });
 
                         stream.on('error', (error) => {
                             client.end();
-                            reject(new Error(`FTP stream error: ${error.message}`));
+                            reject(ftpError('FTP stream error', error));
                         });
 
                         writeStream.on('error', (error) => {
                             client.end();
-                            reject(new Error(`Write error: ${error.message}`));
+                            reject(ftpError('Write error', error));
                         });
 
-                        stream.pipe(writeStream);
+                        stream.pipe(throttle).pipe(writeStream);
                     });
                 });
             });
 
             client.on('error', (error) => {
-                reject(new Error(`FTP connection error: ${error.message}`));
+                reject(ftpError('FTP connection error', error));
             });
 
-            client.connect(connectionOptions);
+            this.connectClient(client, url, connectionOptions, relays).catch((error) => {
+                reject(ftpError('FTP connection error', error));
+            });
+        });
+    }
+
+    // The file from byte start on, for DownloadManager.createReadStream; the connection
+    // closes with the stream
+    createReadStream(url, start = 0, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (options.signal?.aborted) {
+                reject(options.signal.reason);
+                return;
+            }
+
+            const urlObj = new URL(url);
+            const remotePath = decodeURIComponent(urlObj.pathname);
+            const client = new FTP();
+            let stream = null;
+
+            const relays = [];
+            client.on('close', () => relays.forEach(relay => relay.close()));
+
+            const onAbort = () => {
+                client.destroy();
+                reject(options.signal.reason);
+            };
+            options.signal?.addEventListener('abort', onAbort, { once: true });
+            client.on('close', () => options.signal?.removeEventListener('abort', onAbort));
+
+            // A server that hangs up before the transfer starts does not always report an error
+            client.on('close', () => reject(new Error('FTP connection closed')));
+
+            // Once the transfer runs, a broken connection surfaces as an error of the stream
+            client.on('error', (error) => {
+                const wrapped = ftpError('FTP connection error', error);
+                if (stream) {
+                    stream.destroy(wrapped);
+                } else {
+                    reject(wrapped);
+                }
+            });
+
+            client.on('ready', () => {
+                client.size(remotePath, (err, size) => {
+                    const startTransfer = (callback) => start > 0
+                        ? client.restart(start, (err) => err ? callback(err) : client.get(remotePath, callback))
+                        : client.get(remotePath, callback);
+
+                    startTransfer((err, transfer) => {
+                        if (err) {
+                            client.end();
+                            reject(ftpError('FTP get error', err));
+                            return;
+                        }
+
+                        stream = transfer;
+                        stream.once('close', () => client.end());
+                        resolve({ stream, size: size ?? null });
+                    });
+                });
+            });
+
+            this.connectClient(client, url, this.getConnectionOptions(urlObj), relays).catch((error) => {
+                reject(ftpError('FTP connection error', error));
+            });
         });
     }
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    getConnectionOptions(urlObj) {
+        const ftpConfig = this.config.get('protocols', 'ftp');
+
+        return {
+            host: urlObj.hostname,
+            port: urlObj.port || ftpConfig.port,
+            user: urlObj.username || 'anonymous',
+            password: urlObj.password || 'anonymous@',
+            connTimeout: ftpConfig.timeout,
+            pasvTimeout: ftpConfig.timeout,
+            keepalive: 10000
+        };
+    }
+
+    async connectClient(client, url, connectionOptions, relays) {
+        const proxy = this.proxyManager.getProxy(url);
+        if (!proxy) {
+            client.connect(connectionOptions);
+            return;
+        }
+
+        this.logger.debug('Connecting to FTP server through proxy', { proxy: proxy.host });
+
+        // The FTP library opens its own sockets, so the control connection and every
+        // passive data connection go through a local relay into the proxy. The library has no
+        // hook for its data connections: _pasvConnect is internal, which is why the ftp
+        // package is pinned to one version and test/ftpDownloader.test.js covers this path.
+        const pasvConnect = client._pasvConnect;
+        if (typeof pasvConnect !== 'function' || pasvConnect.length !== 3) {
+            throw new Error('FTP through a proxy is not supported by this version of the ftp package');
+        }
+
+        const control = await this.proxyManager.createRelay(proxy, connectionOptions.host, connectionOptions.port);
+        relays.push(control);
+
+        client._pasvConnect = (ip, port, callback) => {
+            this.proxyManager.createRelay(proxy, ip, port).then((relay) => {
+                relays.push(relay);
+                pasvConnect.call(client, relay.host, relay.port, callback);
+            }, callback);
+        };
+
+        client.connect({ ...connectionOptions, host: control.host, port: control.port });
     }
 
     static isValidFtpUrl(url) {
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const AGE_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+class HistoryStore {
+    constructor(config) {
+        this.config = config;
+        this.historyPath = path.join(os.homedir(), '.jsdownloader', 'history.jsonl');
+    }
+
+    isEnabled() {
+        return this.config.get('history', 'enabled') !== false;
+    }
+
+    record(entry) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const record = {
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+
+            // One JSON record per line, so finished downloads are appended rather than rewritten
+            fs.appendFileSync(this.historyPath, JSON.stringify(record) + '\n', { mode: 0o600 });
+            return record;
+        } catch (error) {
+            throw new Error(`Failed to write download history: ${error.message}`);
+        }
+    }
+
+    read() {
+        if (!fs.existsSync(this.historyPath)) {
+            return [];
+        }
+
+        const records = [];
+        for (const line of fs.readFileSync(this.historyPath, 'utf8').split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash is skipped rather than losing the whole history
+            }
+        }
+
+        return records;
+    }
+
+    list(filters = {}) {
+        const { since, until, status, protocol, search } = filters;
+        const text = search?.toLowerCase();
+
+        return this.read().filter((record) => {
+            const time = new Date(record.timestamp);
+
+            if (since && time < since) return false;
+            if (until && time > until) return false;
+            if (status && record.status !== status) return false;
+            if (protocol && record.protocol !== protocol.toLowerCase()) return false;
+
+            if (text) {
+                const haystack = [record.url, record.destination, record.error]
+                    .filter(Boolean)
+                    .join(' ')
+                    .toLowerCase();
+                if (!haystack.includes(text)) return false;
+            }
+
+            return true;
+        });
+    }
+
+    clear(olderThan = null) {
+        const records = this.read();
+        const kept = olderThan
+            ? records.filter(record => new Date(record.timestamp) >= olderThan)
+            : [];
+
+        try {
+            if (kept.length > 0) {
+                const tempPath = `${this.historyPath}.${process.pid}.tmp`;
+                fs.writeFileSync(tempPath, kept.map(record => JSON.stringify(record) + '\n').join(''), { mode: 0o600 });
+                fs.renameSync(tempPath, this.historyPath);
+            } else if (fs.existsSync(this.historyPath)) {
+                fs.unlinkSync(this.historyPath);
+            }
+        } catch (error) {
+            throw new Error(`Failed to clear download history: ${error.message}`);
+        }
+
+        return records.length - kept.length;
+    }
+
+    static parseDate(value) {
+        // Accepts a relative age such as "30m", "12h", "7d" or "2w", or anything Date can parse
+        const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+        if (match) {
+            return new Date(Date.now() - parseInt(match[1], 10) * AGE_UNITS[match[2].toLowerCase()]);
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date or age: ${value}`);
+        }
+
+        return date;
+    }
+}
+
+export default HistoryStore;
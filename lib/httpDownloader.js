@@ -2,115 +2,368 @@ import https from 'https';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { URL } from 'url';
+import ProxyManager from './proxyManager.js';
+import AuthManager from './authManager.js';
+
+// Digest header (RFC 3230) algorithms that can be checked, strongest first, with the
+// Node name and digest length of each
+const DIGEST_HEADER_ALGORITHMS = {
+    'sha-512': ['sha512', 64],
+    'sha-256': ['sha256', 32],
+    'sha': ['sha1', 20],
+    'md5': ['md5', 16]
+};
+
+const remoteChangedError = () => {
+    const error = new Error('Remote file changed since download started');
+    error.code = 'EREMOTECHANGED';
+    return error;
+};
+
+const shortRangeError = (range, end) => {
+    const error = new Error(`Server sent bytes ${range.start}-${range.end} of the ${range.start}-${end} requested`);
+    error.code = 'ESHORTRANGE';
+    return error;
+};
+
+// The status and Retry-After travel with the error so the retry policy can judge it
+const httpError = (res) => {
+    const error = new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`);
+    error.statusCode = res.statusCode;
+    error.retryAfter = res.headers['retry-after'];
+    return error;
+};
+
+// Keeps the code of a system error ("ECONNRESET", "ENOSPC") under the new message
+const wrapError = (message, error) => {
+    const wrapped = new Error(`${message}: ${error.message}`);
+    wrapped.code = error.code;
+    return wrapped;
+};
 
 class HttpDownloader {
-    constructor(config, logger, progressDisplay, fileManager, notifications) {
+    static protocol = {
+        name: 'http',
+        schemes: ['http:', 'https:'],
+        // Names the file itself once the response headers arrive
+        destination: 'directory'
+    };
+
+    constructor(config, logger, events, fileManager, bandwidthLimiter, retryPolicy) {
         this.config = config;
         this.logger = logger;
-        this.progressDisplay = progressDisplay;
+        this.events = events;
         this.fileManager = fileManager;
-        this.notifications = notifications;
+        this.bandwidthLimiter = bandwidthLimiter;
+        this.retryPolicy = retryPolicy;
+        this.proxyManager = new ProxyManager(config);
+        this.authManager = new AuthManager(config);
     }
 
-    async download(url, destination, options = {}) {
+    async download(url, downloadDir, options = {}) {
         const downloadId = `http_${Date.now()}_${Math.random()}`;
-        const filename = path.basename(destination);
 
-        try {
-            this.logger.logDownloadStart(url, destination);
+        // The file is named from the first response, so the destination and the part file it
+        // is written to until complete are filled in later
+        const target = { url, downloadDir, destination: null, partPath: null };
 
-            // Check for resume capability
-            let startByte = 0;
-            let resumeInfo = null;
+        try {
+            this.logger.logDownloadStart(url, downloadDir);
+            this.bandwidthLimiter.register(downloadId, options.limitRate);
 
-            if (this.config.get('download', 'enableResume')) {
-                resumeInfo = this.fileManager.getResumeInfo(destination);
-                if (resumeInfo && fs.existsSync(destination)) {
-                    const stats = fs.statSync(destination);
-                    startByte = stats.size;
-                    this.logger.info(`Resuming download from byte ${startByte}`, { url });
-                }
+            const result = await this.downloadWithRetry(url, target, downloadId, options);
+            if (result.unchanged) {
+                return result;
             }
 
-            const result = await this.downloadWithRetry(url, destination, downloadId, startByte, options);
+            result.destination = await this.fileManager.commitPartFile(target.partPath, target.destination, options, {
+                checksum: result.checksum
+            });
 
-            // Cleanup resume info on successful completion
-            this.fileManager.cleanupResumeInfo(destination);
+            if (this.fileManager.isTimestamping(options)) {
+                this.fileManager.saveTimestampInfo(result.destination, url, {
+                    etag: target.validators?.etag,
+                    modified: target.validators?.remoteLastModified
+                });
+            }
 
-            this.progressDisplay.completeDownload(downloadId);
-            this.notifications.notifyDownloadComplete(filename, result.stats);
-            this.logger.logDownloadComplete(url, destination, result.stats);
+            this.events.emit('complete', { id: downloadId, url, destination: result.destination, stats: result.stats });
+            this.logger.logDownloadComplete(url, result.destination, result.stats);
 
             return result;
 
         } catch (error) {
-            this.progressDisplay.errorDownload(downloadId, error.message);
-            this.notifications.notifyDownloadError(filename, error.message);
-            this.logger.logDownloadError(url, error);
+            const filename = target.destination
+                ? path.basename(target.destination)
+                : this.fileManager.extractFilename(url);
+
+            // Pausing or canceling is reported too, but not logged as a failure
+            const aborted = Boolean(options.signal?.aborted);
+            this.events.emit('error', { id: downloadId, url, filename, error, aborted });
+            if (!aborted) {
+                this.logger.logDownloadError(url, error);
+            }
             throw error;
+        } finally {
+            this.bandwidthLimiter.unregister(downloadId);
+            this.fileManager.releasePartFile(target.partPath);
         }
     }
 
-    async downloadWithRetry(url, destination, downloadId, startByte = 0, options = {}) {
-        let lastError;
+    async downloadWithRetry(url, target, downloadId, options = {}) {
+        const sources = this.getSources(url, options);
 
-        for (let attempt = 1; attempt <= this.config.get('download', 'maxRetries'); attempt++) {
-            try {
-                return await this.performDownload(url, destination, downloadId, startByte, options);
-            } catch (error) {
-                lastError = error;
+        // Each attempt tries every mirror in turn; only a round in which all of them failed waits
+        return this.retryPolicy.run(
+            sources,
+            source => this.attemptDownload(source, target, downloadId, { ...options, sources }),
+            { protocol: 'http', signal: options.signal }
+        );
+    }
+
+    getSources(url, options = {}) {
+        // Mirrors for other protocols are left to the download manager
+        const mirrors = (options.mirrors || []).filter(mirror => HttpDownloader.isValidUrl(mirror) && mirror !== url);
+        return [url, ...new Set(mirrors)];
+    }
+
+    async attemptDownload(url, target, downloadId, options = {}) {
+        const conditional = this.getConditionalRequest(target, options);
 
-                if (attempt < this.config.get('download', 'maxRetries')) {
-                    const delay = this.config.get('download', 'retryDelay') * Math.pow(2, attempt - 1);
-                    this.logger.warn(`Download attempt ${attempt} failed, retrying in ${delay}ms`, {
+        // An open-ended range reveals the size and range support, and is still the whole file otherwise
+        const response = await this.openStream(url, { 'Range': 'bytes=0-', ...conditional?.headers }, options);
+        const { req, res } = response;
+
+        if (res.statusCode === 304) {
+            res.resume();
+            return this.keepUnchanged(url, target, conditional.destination, options);
+        }
+
+        if (!target.destination) {
+            target.destination = this.fileManager.getDestinationPath(url, target.downloadDir, res.headers, {
+                filename: options.filename
+            });
+            target.partPath = this.fileManager.claimPartFile(target.destination, [target.url, ...(options.mirrors || [])]);
+            options.onDestination?.(target.destination, target.partPath);
+        }
+        const { destination, partPath } = target;
+        target.validators = this.getValidators(res);
+
+        // Servers that ignore the conditional headers are judged by Last-Modified and size instead
+        if (conditional?.destination === destination && this.fileManager.isUpToDate(destination, {
+            size: this.parseContentRange(res.headers['content-range'])?.total || parseInt(res.headers['content-length'], 10),
+            modified: res.headers['last-modified']
+        })) {
+            req.destroy();
+            return this.keepUnchanged(url, target, destination, options);
+        }
+
+        // Check for resume capability
+        const resumeInfo = this.config.get('download', 'enableResume') && fs.existsSync(partPath)
+            ? this.fileManager.getResumeInfo(partPath)
+            : null;
+
+        if (resumeInfo) {
+            req.destroy();
+
+            try {
+                if (resumeInfo.segments) {
+                    this.logger.info('Resuming segmented download', {
                         url,
-                        error: error.message
+                        segments: resumeInfo.segments.length
                     });
-                    await this.sleep(delay);
+                    return await this.performSegmentedDownload(url, target, downloadId, resumeInfo, options);
                 } else {
-                    this.logger.error(`All ${this.config.get('download', 'maxRetries')} download attempts failed`, {
-                        url,
-                        error: error.message
-                    });
+                    const startByte = fs.statSync(partPath).size;
+                    const totalSize = this.parseContentRange(res.headers['content-range'])?.total ||
+                        parseInt(res.headers['content-length'], 10);
+
+                    // There is nothing left to ask for when an earlier run got everything but
+                    // stopped before the part file was moved into place
+                    if (totalSize && startByte >= totalSize) {
+                        if (startByte > totalSize || !this.isSameVersion(res, totalSize, this.getResumeValidators(resumeInfo, url))) {
+                            throw remoteChangedError();
+                        }
+                        return await this.completePartFile(url, target, downloadId, totalSize, resumeInfo);
+                    }
+
+                    this.logger.info(`Resuming download from byte ${startByte}`, { url });
+                    return await this.performDownload(url, target, downloadId, startByte, options);
+                }
+            } catch (error) {
+                if (error.code !== 'EREMOTECHANGED') {
+                    throw error;
                 }
+
+                // The partial data belongs to a different version of the file
+                this.logger.warn('Remote file changed since download started, restarting', { url });
+                this.fileManager.cleanupResumeInfo(partPath);
+                return await this.attemptDownload(url, target, downloadId, options);
             }
         }
 
-        throw lastError;
+        const connections = options.connections || this.config.get('download', 'connections') || 1;
+        const range = this.parseContentRange(res.headers['content-range']);
+
+        // A server that answers the open-ended probe with less than the rest of the file caps
+        // its ranges, and a segment could never be fetched in one response
+        if (connections > 1 && res.statusCode === 206 && range?.total && range.end === range.total - 1) {
+            const segments = this.planSegments(range.total, connections);
+
+            if (segments.length > 1) {
+                req.destroy();
+                this.logger.info(`Downloading in ${segments.length} segments`, { url, totalSize: range.total });
+                return await this.performSegmentedDownload(url, target, downloadId, {
+                    url,
+                    totalSize: range.total,
+                    ...this.getValidators(res),
+                    digest: this.getContentDigest(res),
+                    segments
+                }, options);
+            }
+        }
+
+        return await this.performDownload(url, target, downloadId, 0, options, response);
+    }
+
+    isSameVersion(res, totalSize, resumeInfo) {
+        const { etag, remoteLastModified } = this.getValidators(res);
+        return !(resumeInfo.totalSize && resumeInfo.totalSize !== totalSize) &&
+            !(resumeInfo.etag && etag && etag !== resumeInfo.etag) &&
+            !(resumeInfo.remoteLastModified && remoteLastModified && remoteLastModified !== resumeInfo.remoteLastModified);
+    }
+
+    // A part file that already holds the whole file goes through the same checks as one
+    // that was just downloaded
+    async completePartFile(url, target, downloadId, totalSize, resumeInfo) {
+        this.logger.info('Partial file is already complete', { url });
+        this.events.emit('start', { id: downloadId, url, filename: path.basename(target.destination), totalSize });
+
+        this.fileManager.checkPartFile(target.partPath, totalSize);
+        await this.checkContentDigest(target.partPath, resumeInfo.digest);
+
+        return { stats: { size: totalSize, duration: 0, averageSpeed: 0 } };
+    }
+
+    getConditionalRequest(target, options = {}) {
+        if (!this.fileManager.isTimestamping(options)) {
+            return null;
+        }
+
+        // The name is only known for sure from the response, so the URL (or given name) decides here
+        const destination = target.destination || this.fileManager.getDestinationPath(target.url, target.downloadDir, {}, {
+            filename: options.filename
+        });
+
+        if (!fs.existsSync(destination)) {
+            return null;
+        }
+
+        const headers = { 'If-Modified-Since': fs.statSync(destination).mtime.toUTCString() };
+        const stored = this.fileManager.getTimestampInfo(destination, target.url);
+        if (stored?.etag) {
+            headers['If-None-Match'] = stored.etag;
+        }
+
+        return { destination, headers };
+    }
+
+    keepUnchanged(url, target, destination, options = {}) {
+        if (!target.destination) {
+            target.destination = destination;
+            options.onDestination?.(destination);
+        }
+
+        this.logger.info('Remote file unchanged, keeping the local copy', { url, destination });
+        return { stats: { size: 0, duration: 0, averageSpeed: 0 }, destination, unchanged: true };
     }
 
-    performDownload(url, destination, downloadId, startByte = 0, options = {}) {
+    openStream(url, headers = {}, options = {}) {
         return new Promise((resolve, reject) => {
-            const startTime = Date.now();
-            let totalSize = 0;
-            let downloaded = startByte;
             let redirectCount = 0;
+            let authAttempts = 0;
+
+            const origin = new URL(url).origin;
+            const credentials = this.authManager.getCredentials(url, options);
 
             const performRequest = (currentUrl) => {
                 const urlObj = new URL(currentUrl);
                 const isHttps = urlObj.protocol === 'https:';
                 const client = isHttps ? https : http;
 
+                // Credentials never follow a redirect to another origin
+                const sameOrigin = urlObj.origin === origin;
+                const auth = sameOrigin ? credentials : null;
+
+                // Keep credentials out of the request line, they are sent as a header instead
+                urlObj.username = '';
+                urlObj.password = '';
+                const requestUrl = urlObj.href;
+
+                let proxyOptions;
+                try {
+                    proxyOptions = this.proxyManager.getRequestOptions(requestUrl);
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+
+                const requestHeaders = {
+                    'User-Agent': this.config.get('protocols', 'http').userAgent,
+                    ...options.headers,
+                    ...headers,
+                    ...proxyOptions.headers
+                };
+
+                if (!sameOrigin) {
+                    for (const name of Object.keys(requestHeaders)) {
+                        if (name.toLowerCase() === 'authorization') {
+                            delete requestHeaders[name];
+                        }
+                    }
+                }
+
+                const authorization = this.authManager.getAuthorization(requestUrl, 'GET', auth);
+                if (authorization) {
+                    requestHeaders['Authorization'] = authorization;
+                }
+
                 const requestOptions = {
                     method: 'GET',
-                    headers: {
-                        'User-Agent': this.config.get('protocols', 'http').userAgent,
-                        ...options.headers
-                    },
-                    timeout: this.config.get('download', 'timeout')
+                    ...proxyOptions,
+                    headers: requestHeaders,
+                    timeout: this.config.get('download', 'timeout'),
+                    signal: options.signal
                 };
 
-                // Add range header for resume
-                if (startByte > 0) {
-                    requestOptions.headers['Range'] = `bytes=${startByte}-`;
-                }
+                const req = client.request(requestUrl, requestOptions, (res) => {
+                    // Answer Basic/Digest challenges, and once more when a Digest nonce went stale
+                    const challenge = res.headers['www-authenticate'] || '';
+                    const canRetry = authAttempts === 0 || (authAttempts === 1 && /stale\s*=\s*"?true/i.test(challenge));
+
+                    if (res.statusCode === 401 && canRetry && this.authManager.handleChallenge(requestUrl, challenge, auth)) {
+                        res.resume();
+                        authAttempts++;
+                        performRequest(currentUrl);
+                        return;
+                    }
+
+                    // Only a conditional request can be answered with "not modified"
+                    if (res.statusCode === 304 && (headers['If-None-Match'] || headers['If-Modified-Since'])) {
+                        resolve({ req, res, url: requestUrl });
+                        return;
+                    }
 
-                const req = client.request(currentUrl, requestOptions, (res) => {
                     // Handle redirects
                     if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                        res.resume();
+
                         if (redirectCount >= this.config.get('protocols', 'http').maxRedirects) {
-                            reject(new Error('Too many redirects'));
+                            const error = new Error('Too many redirects');
+                            error.retryable = false;
+                            reject(error);
                             return;
                         }
 
@@ -122,80 +375,599 @@ class HttpDownloader {
                     }
 
                     if (res.statusCode < 200 || res.statusCode >= 300) {
-                        reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+                        res.resume();
+                        reject(httpError(res));
                         return;
                     }
 
-                    // Get total size
-                    const contentLength = parseInt(res.headers['content-length'], 10);
-                    if (contentLength) {
-                        totalSize = startByte > 0 ? startByte + contentLength : contentLength;
-                    }
+                    resolve({ req, res, url: requestUrl });
+                });
+
+                req.on('error', (error) => {
+                    reject(wrapError('Request error', error));
+                });
+
+                req.on('timeout', () => {
+                    req.destroy(new Error('Request timeout'));
+                    reject(new Error('Request timeout'));
+                });
+
+                req.end();
+            };
+
+            performRequest(url);
+        });
+    }
+
+    async performDownload(url, target, downloadId, startByte = 0, options = {}, response = null) {
+        const { destination, partPath } = target;
+        const startTime = Date.now();
+        let totalSize = 0;
+
+        // Add range header for resume
+        const resumeInfo = startByte > 0 ? this.getResumeValidators(this.fileManager.getResumeInfo(partPath), url) : null;
+        const headers = startByte > 0 ? this.buildRangeHeaders(startByte, resumeInfo) : {};
+        const { req, res } = response || await this.openStream(url, headers, options).catch((error) => {
+            // Nothing exists past the end of the part file: the remote file is not the one it holds
+            throw startByte > 0 && error.statusCode === 416 ? remoteChangedError() : error;
+        });
+
+        if (startByte > 0 && res.statusCode === 200) {
+            // The server ignored the range or If-Range failed, so this is the whole file again
+            this.logger.warn('Server sent the full file instead of the requested range, restarting', { url });
+            startByte = 0;
+        } else if (startByte > 0 && !this.isMatchingRange(res, startByte, resumeInfo)) {
+            req.destroy();
+            throw remoteChangedError();
+        }
+
+        let downloaded = startByte;
+
+        // A digest the server sent with the first response still speaks for the whole file
+        const digest = (startByte > 0 ? resumeInfo?.digest : null) || this.getContentDigest(res);
 
-                    // Create resume info if enabled
-                    if (this.config.get('download', 'enableResume') && totalSize > 0) {
-                        this.fileManager.createResumeInfo(destination, url, totalSize);
+        // Hash while streaming; a resumed file is hashed in full once it completes
+        const hash = startByte === 0 && options.checksum
+            ? crypto.createHash(options.checksum.algorithm)
+            : null;
+        const digestHash = startByte === 0 && digest ? crypto.createHash(digest.algorithm) : null;
+
+        // A partial response names the size of the whole file; its length is only that of the range
+        const range = res.statusCode === 206 ? this.parseContentRange(res.headers['content-range']) : null;
+
+        return new Promise((resolve, reject) => {
+            // Get total size
+            const contentLength = parseInt(res.headers['content-length'], 10);
+            if (range?.total) {
+                totalSize = range.total;
+            } else if (contentLength) {
+                totalSize = startByte > 0 ? startByte + contentLength : contentLength;
+            }
+
+            // Create resume info if enabled
+            if (this.config.get('download', 'enableResume') && totalSize > 0) {
+                this.fileManager.createResumeInfo(partPath, url, totalSize, { ...this.getValidators(res), digest });
+            }
+
+            // Initialize progress display
+            this.events.emit('start', { id: downloadId, url, filename: path.basename(destination), totalSize });
+
+            // Create write stream (append if resuming)
+            const writeStream = fs.createWriteStream(partPath, {
+                flags: startByte > 0 ? 'a' : 'w'
+            });
+
+            let lastProgressUpdate = Date.now();
+            let failure = null;
+
+            res.on('data', (chunk) => {
+                downloaded += chunk.length;
+                hash?.update(chunk);
+                digestHash?.update(chunk);
+
+                // Update progress (let progress display handle throttling)
+                this.events.emit('progress', { id: downloadId, url, downloaded, totalSize });
+
+                // Update resume info occasionally
+                const now = Date.now();
+                if (now - lastProgressUpdate >= 1000) { // Update resume info every second
+                    if (this.config.get('download', 'enableResume')) {
+                        this.fileManager.updateResumeInfo(partPath, downloaded);
                     }
+                    lastProgressUpdate = now;
+                }
+            });
+
+            const throttle = this.bandwidthLimiter.throttle(downloadId);
+
+            // A broken or aborted response still gets what arrived written out before giving up
+            res.on('error', (error) => {
+                failure = wrapError('Response error', error);
+                throttle.unpipe(writeStream);
+                this.fileManager.closePartialFile(partPath, writeStream).then(() => reject(failure));
+            });
+
+            res.pipe(throttle).pipe(writeStream);
 
-                    // Initialize progress display
-                    this.progressDisplay.startDownload(downloadId, path.basename(destination), totalSize);
+            writeStream.on('finish', async () => {
+                if (failure) {
+                    return;
+                }
+
+                // A server that caps its ranges sent all it announced; the rest is asked for next
+                if (range && downloaded === range.end + 1 && downloaded < totalSize) {
+                    this.logger.debug('Server sent a shorter range, continuing', { url, downloaded, totalSize });
+                    resolve(this.performDownload(url, target, downloadId, downloaded, options));
+                    return;
+                }
+
+                // A connection that closed early can look like the normal end of the body
+                try {
+                    this.fileManager.checkPartFile(partPath, totalSize);
+                    await this.checkContentDigest(partPath, digest, digestHash?.digest('hex'));
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+
+                const endTime = Date.now();
+                const duration = (endTime - startTime) / 1000;
+                const stats = {
+                    size: downloaded,
+                    duration,
+                    averageSpeed: downloaded / duration
+                };
+
+                resolve({ stats, checksum: hash?.digest('hex') });
+            });
+
+            writeStream.on('error', (error) => {
+                reject(wrapError('Write error', error));
+            });
+        });
+    }
+
+    async fetchText(url, options = {}) {
+        const { res } = await this.openStream(url, {}, options);
+        const chunks = [];
+
+        for await (const chunk of res) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks).toString('utf8');
+    }
 
-                    // Create write stream (append if resuming)
-                    const writeStream = fs.createWriteStream(destination, {
-                        flags: startByte > 0 ? 'a' : 'w'
+    // The body from byte start on, for DownloadManager.createReadStream. validators are those
+    // returned by the first call; a later call that would splice in another version fails.
+    async createReadStream(url, start = 0, options = {}) {
+        const headers = start > 0 ? this.buildRangeHeaders(start, options.validators) : {};
+        const { req, res } = await this.openStream(url, headers, options);
+
+        if (start > 0 && !this.isMatchingRange(res, start, options.validators)) {
+            req.destroy();
+            const error = remoteChangedError();
+            // What was already passed on cannot be taken back
+            error.retryable = false;
+            throw error;
+        }
+
+        const range = this.parseContentRange(res.headers['content-range']);
+        const contentLength = parseInt(res.headers['content-length'], 10);
+        const size = range?.total ?? (Number.isNaN(contentLength) ? null : start + contentLength);
+
+        return {
+            stream: res,
+            size,
+            validators: { ...this.getValidators(res), totalSize: size }
+        };
+    }
+
+    getValidators(res) {
+        return {
+            etag: res.headers['etag'] || null,
+            remoteLastModified: res.headers['last-modified'] || null
+        };
+    }
+
+    // The file's digest from a Digest header, or from Content-MD5 when the body is the whole
+    // file, as { algorithm, digest } with a hex digest
+    getContentDigest(res) {
+        const values = {};
+        for (const entry of (res.headers['digest'] || '').split(',')) {
+            const match = /^\s*([\w-]+)=(\S+)\s*$/.exec(entry);
+            if (match) {
+                values[match[1].toLowerCase()] = match[2];
+            }
+        }
+
+        for (const [name, [algorithm, length]] of Object.entries(DIGEST_HEADER_ALGORITHMS)) {
+            const bytes = values[name] ? Buffer.from(values[name], 'base64') : null;
+            if (bytes?.length === length) {
+                return { algorithm, digest: bytes.toString('hex') };
+            }
+        }
+
+        // Content-MD5 covers only the body of this response
+        const range = this.parseContentRange(res.headers['content-range']);
+        const whole = res.statusCode === 200 || (range?.start === 0 && range.total !== null && range.end === range.total - 1);
+        const md5 = res.headers['content-md5'] ? Buffer.from(res.headers['content-md5'], 'base64') : null;
+        if (whole && md5?.length === 16) {
+            return { algorithm: 'md5', digest: md5.toString('hex') };
+        }
+
+        return null;
+    }
+
+    // A file that does not match the server's digest cannot be told apart from a good start,
+    // so it is removed and the retry downloads it again from the beginning
+    async checkContentDigest(partPath, digest, actual = null) {
+        if (!digest) {
+            return;
+        }
+
+        const checksum = actual || await this.fileManager.calculateChecksum(partPath, digest.algorithm);
+        if (checksum !== digest.digest) {
+            this.fileManager.cleanupResumeInfo(partPath);
+            fs.rmSync(partPath, { force: true });
+            const error = new Error(`Content digest mismatch (${digest.algorithm})`);
+            error.code = 'EDIGEST';
+            throw error;
+        }
+    }
+
+    getResumeValidators(resumeInfo, url) {
+        // ETags and dates differ between mirrors, so another mirror's partial data is only
+        // checked against the file size
+        if (!resumeInfo || !resumeInfo.url || resumeInfo.url === url) {
+            return resumeInfo;
+        }
+
+        return { ...resumeInfo, etag: null, remoteLastModified: null };
+    }
+
+    buildRangeHeaders(start, resumeInfo, end = '') {
+        const headers = { 'Range': `bytes=${start}-${end}` };
+
+        // Weak ETags are not allowed in If-Range, fall back to the modification date
+        if (resumeInfo?.etag && !resumeInfo.etag.startsWith('W/')) {
+            headers['If-Range'] = resumeInfo.etag;
+        } else if (resumeInfo?.remoteLastModified) {
+            headers['If-Range'] = resumeInfo.remoteLastModified;
+        }
+
+        return headers;
+    }
+
+    parseContentRange(header) {
+        const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(header || '');
+        if (!match) {
+            return null;
+        }
+
+        return {
+            start: parseInt(match[1], 10),
+            end: parseInt(match[2], 10),
+            total: match[3] === '*' ? null : parseInt(match[3], 10)
+        };
+    }
+
+    // With an end, the range must also reach at least that far
+    isMatchingRange(res, start, resumeInfo, end = null) {
+        const range = this.parseContentRange(res.headers['content-range']);
+        if (res.statusCode !== 206 || !range || range.start !== start) {
+            return false;
+        }
+
+        if (end !== null && range.end < end) {
+            return false;
+        }
+
+        if (resumeInfo?.totalSize && range.total && range.total !== resumeInfo.totalSize) {
+            return false;
+        }
+
+        // Servers that ignore If-Range still reveal a new version through their validators
+        const { etag, remoteLastModified } = this.getValidators(res);
+        if (resumeInfo?.etag && etag && etag !== resumeInfo.etag) {
+            return false;
+        }
+        if (resumeInfo?.remoteLastModified && remoteLastModified && remoteLastModified !== resumeInfo.remoteLastModified) {
+            return false;
+        }
+
+        return true;
+    }
+
+    planSegments(totalSize, connections) {
+        const minSegmentSize = this.config.get('download', 'chunkSize') || 1048576;
+        const count = Math.min(connections, Math.floor(totalSize / minSegmentSize));
+        if (count < 2) {
+            return [];
+        }
+
+        const segmentSize = Math.ceil(totalSize / count);
+        const segments = [];
+
+        for (let start = 0; start < totalSize; start += segmentSize) {
+            segments.push({
+                start,
+                end: Math.min(start + segmentSize, totalSize) - 1,
+                downloaded: 0
+            });
+        }
+
+        return segments;
+    }
+
+    async performSegmentedDownload(url, target, downloadId, plan, options = {}) {
+        const { destination, partPath } = target;
+        const startTime = Date.now();
+        const { totalSize } = plan;
+        const segments = plan.segments.map(({ start, end, downloaded }) => ({ start, end, downloaded }));
+        const connections = options.connections || this.config.get('download', 'connections') || 1;
+        const enableResume = this.config.get('download', 'enableResume');
+        const initialBytes = segments.reduce((sum, segment) => sum + segment.downloaded, 0);
+
+        // Preallocate the file so every segment can be written in place
+        let fd;
+        if (fs.existsSync(partPath) && initialBytes > 0) {
+            fd = fs.openSync(partPath, 'r+');
+        } else {
+            fd = fs.openSync(partPath, 'w');
+            fs.ftruncateSync(fd, totalSize);
+        }
+
+        const saveSegments = () => {
+            if (!enableResume) return;
+
+            const downloaded = segments.reduce((sum, segment) => sum + segment.downloaded, 0);
+            this.fileManager.updateResumeInfo(partPath, downloaded, {
+                segments: segments.map(({ start, end, downloaded }) => ({ start, end, downloaded }))
+            });
+        };
+
+        if (enableResume && !this.fileManager.getResumeInfo(partPath)) {
+            this.fileManager.createResumeInfo(partPath, url, totalSize, {
+                etag: plan.etag || null,
+                remoteLastModified: plan.remoteLastModified || null,
+                digest: plan.digest || null
+            });
+            saveSegments();
+        }
+
+        this.events.emit('start', { id: downloadId, url, filename: path.basename(destination), totalSize });
+
+        let lastResumeUpdate = Date.now();
+        const onProgress = () => {
+            const downloaded = segments.reduce((sum, segment) => sum + segment.downloaded, 0);
+            this.events.emit('progress', { id: downloadId, url, downloaded, totalSize });
+
+            const now = Date.now();
+            if (now - lastResumeUpdate >= 1000) {
+                saveSegments();
+                lastResumeUpdate = now;
+            }
+        };
+
+        // With multi-source enabled the connections are spread over all mirrors of the file
+        const multiSource = options.multiSource ?? this.config.get('download', 'multiSource');
+        const sources = multiSource
+            ? [url, ...(options.sources || []).filter(source => source !== url)]
+            : [url];
+        const failedSources = new Set();
+        const pickSource = (index) => {
+            const healthy = sources.filter(source => !failedSources.has(source));
+            return healthy.length > 0 ? healthy[index % healthy.length] : null;
+        };
+
+        const errors = [];
+        const worker = async (segment, index) => {
+            let source = pickSource(index);
+
+            while (segment && source) {
+                try {
+                    await this.fetchSegment(source, downloadId, fd, segment, this.getResumeValidators(plan, source), onProgress, options);
+                } catch (error) {
+                    this.logger.debug('Segment failed', {
+                        url: source,
+                        start: segment.start,
+                        end: segment.end,
+                        error: error.message
                     });
 
-                    let lastProgressUpdate = Date.now();
+                    // A mirror that fails or serves a different file is dropped and another one
+                    // takes over the segment; the file the plan was made from changing is final
+                    const isPlanSource = source === (plan.url || url);
+                    if (sources.length === 1 || options.signal?.aborted || (isPlanSource && error.code === 'EREMOTECHANGED')) {
+                        errors.push(error);
+                        return;
+                    }
 
-                    res.on('data', (chunk) => {
-                        downloaded += chunk.length;
+                    this.logger.warn('Mirror dropped from segmented download', { url: source, error: error.message });
+                    failedSources.add(source);
+
+                    source = pickSource(index);
+                    if (!source) {
+                        errors.push(error);
+                        return;
+                    }
+                    continue;
+                }
+                segment = this.takeSegment(segments);
+            }
+        };
 
-                        // Update progress (let progress display handle throttling)
-                        this.progressDisplay.updateProgress(downloadId, downloaded, totalSize);
+        try {
+            const workers = [];
+            for (let i = 0; i < connections; i++) {
+                const segment = this.takeSegment(segments);
+                if (!segment) break;
+                workers.push(worker(segment, i));
+            }
+            await Promise.all(workers);
+        } finally {
+            fs.closeSync(fd);
+            saveSegments();
+        }
 
-                        // Update resume info occasionally
-                        const now = Date.now();
-                        if (now - lastProgressUpdate >= 1000) { // Update resume info every second
-                            if (this.config.get('download', 'enableResume')) {
-                                this.fileManager.updateResumeInfo(destination, downloaded);
-                            }
-                            lastProgressUpdate = now;
+        const changed = errors.find(error => error.code === 'EREMOTECHANGED');
+        if (changed) {
+            throw changed;
+        }
+
+        const incomplete = segments.some(segment => segment.start + segment.downloaded <= segment.end);
+        if (incomplete) {
+            throw errors[errors.length - 1] || new Error('Segmented download did not complete');
+        }
+
+        await this.checkContentDigest(partPath, plan.digest);
+
+        const duration = (Date.now() - startTime) / 1000;
+        const stats = {
+            size: totalSize,
+            duration,
+            averageSpeed: (totalSize - initialBytes) / duration,
+            segments: segments.length
+        };
+
+        return { stats };
+    }
+
+    takeSegment(segments) {
+        // Prefer a segment nobody is working on
+        const idle = segments.find(segment => !segment.active && segment.start + segment.downloaded <= segment.end);
+        if (idle) {
+            idle.active = true;
+            return idle;
+        }
+
+        // Otherwise steal the back half of the segment expected to finish last
+        const minSegmentSize = this.config.get('download', 'chunkSize') || 1048576;
+        let slowest = null;
+        let slowestEta = 0;
+
+        for (const segment of segments) {
+            if (!segment.active) continue;
+
+            const remaining = segment.end - (segment.start + segment.downloaded + segment.inFlight) + 1;
+            if (remaining < minSegmentSize * 2) continue;
+
+            const elapsed = (Date.now() - segment.startedAt) / 1000;
+            const speed = elapsed > 0 ? segment.transferred / elapsed : 0;
+            const eta = speed > 0 ? remaining / speed : Infinity;
+
+            if (!slowest || eta > slowestEta) {
+                slowest = segment;
+                slowestEta = eta;
+            }
+        }
+
+        if (!slowest) {
+            return null;
+        }
+
+        const position = slowest.start + slowest.downloaded + slowest.inFlight;
+        const remaining = slowest.end - position + 1;
+        const split = position + Math.ceil(remaining / 2);
+        const stolen = { start: split, end: slowest.end, downloaded: 0, active: true };
+
+        slowest.end = split - 1;
+        segments.splice(segments.indexOf(slowest) + 1, 0, stolen);
+
+        this.logger.debug('Rebalanced segment', { from: slowest.start, start: stolen.start, end: stolen.end });
+        return stolen;
+    }
+
+    async fetchSegment(url, downloadId, fd, segment, plan, onProgress, options = {}) {
+        segment.active = true;
+        segment.inFlight = 0;
+        segment.transferred = 0;
+        segment.startedAt = Date.now();
+
+        try {
+            const start = segment.start + segment.downloaded;
+            const headers = this.buildRangeHeaders(start, plan, segment.end);
+            const { req, res } = await this.openStream(url, headers, options);
+
+            if (!this.isMatchingRange(res, start, plan, segment.end)) {
+                req.destroy();
+                // A range that stops short is a limit of the server, not a new version of the file
+                throw this.isMatchingRange(res, start, plan)
+                    ? shortRangeError(this.parseContentRange(res.headers['content-range']), segment.end)
+                    : remoteChangedError();
+            }
+
+            await new Promise((resolve, reject) => {
+                let finished = false;
+                let responseEnded = false;
+                // The chunk on its way to the file, if any; the caller closes the fd once this
+                // segment settles, so it never settles before the write is done
+                let writing = null;
+                const finish = (error) => {
+                    if (finished) return;
+                    finished = true;
+                    req.destroy();
+                    Promise.resolve(writing).then(() => error ? reject(error) : resolve());
+                };
+
+                res.on('data', (chunk) => {
+                    // The segment may have been shortened by a rebalance since the request started
+                    const position = segment.start + segment.downloaded;
+                    const remaining = segment.end - position + 1;
+                    const data = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+
+                    res.pause();
+                    segment.inFlight = data.length;
+
+                    const write = () => new Promise((written) => {
+                        // A chunk held back by the limiter is dropped when the segment ended meanwhile
+                        if (finished) {
+                            segment.inFlight = 0;
+                            written();
+                            return;
                         }
-                    });
 
-                    res.pipe(writeStream);
+                        fs.write(fd, data, 0, data.length, position, (error) => {
+                            segment.inFlight = 0;
+                            written();
+                            if (error) {
+                                finish(wrapError('Write error', error));
+                                return;
+                            }
 
-                    writeStream.on('finish', () => {
-                        const endTime = Date.now();
-                        const duration = (endTime - startTime) / 1000;
-                        const stats = {
-                            size: downloaded,
-                            duration,
-                            averageSpeed: downloaded / duration
-                        };
+                            segment.downloaded += data.length;
+                            segment.transferred += data.length;
+                            onProgress();
 
-                        resolve({ stats, destination });
+                            if (segment.start + segment.downloaded > segment.end) {
+                                finish();
+                            } else if (responseEnded) {
+                                finish(new Error('Connection closed before segment completed'));
+                            } else if (!finished) {
+                                res.resume();
+                            }
+                        });
                     });
 
-                    writeStream.on('error', (error) => {
-                        reject(new Error(`Write error: ${error.message}`));
-                    });
+                    writing = this.bandwidthLimiter.consume(downloadId, data.length).then(write);
                 });
 
-                req.on('error', (error) => {
-                    reject(new Error(`Request error: ${error.message}`));
+                // With a chunk still being written, its callback settles the segment
+                res.on('end', () => {
+                    responseEnded = true;
+                    if (segment.inFlight === 0 && segment.start + segment.downloaded <= segment.end) {
+                        finish(new Error('Connection closed before segment completed'));
+                    }
                 });
 
-                req.on('timeout', () => {
-                    req.destroy();
-                    reject(new Error('Request timeout'));
+                res.on('error', (error) => {
+                    finish(wrapError('Response error', error));
                 });
-
-                req.end();
-            };
-
-            performRequest(url);
-        });
+            });
+        } finally {
+            segment.active = false;
+        }
     }
 
     sleep(ms) {
@@ -19,10 +19,15 @@ class Logger {
             fs.mkdirSync(logDir, { recursive: true });
         }
 
-        const transports = [
-            // Console transport with colors
-            new winston.transports.Console({
+        const transports = [];
+
+        // Console transport with colors; programs using the library may keep the terminal to themselves,
+        // and "stderr" keeps standard output free for a download streamed there
+        const consoleOutput = this.config.get('logging', 'console');
+        if (consoleOutput !== false) {
+            transports.push(new winston.transports.Console({
                 level: this.config.get('logging', 'level'),
+                stderrLevels: consoleOutput === 'stderr' ? Object.keys(winston.config.npm.levels) : [],
                 format: winston.format.combine(
                     winston.format.colorize(),
                     winston.format.timestamp({ format: 'HH:mm:ss' }),
@@ -31,8 +36,8 @@ class Logger {
                         return `${timestamp} [${level}]: ${message} ${metaStr}`;
                     })
                 )
-            })
-        ];
+            }));
+        }
 
         // Add file transport if enabled
         if (this.config.get('logging', 'enableFileLogging')) {
@@ -51,6 +56,11 @@ class Logger {
             );
         }
 
+        // Winston complains about a logger without transports, so one that drops everything stands in
+        if (transports.length === 0) {
+            transports.push(new winston.transports.Console({ silent: true }));
+        }
+
         this.logger = winston.createLogger({
             level: this.config.get('logging', 'level'),
             transports
@@ -0,0 +1,143 @@
+// Strongest first; the IANA names used by RFC 5854 ("sha-256") are normalized to crypto's ("sha256")
+const HASH_PREFERENCE = ['sha512', 'sha256', 'sha1', 'md5'];
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+// Metalink 3.0 (metalinker.org) and 4.0 (RFC 5854) documents. Only the parts a download
+// needs are read, so a small tag scanner does instead of a full XML parser.
+class MetalinkParser {
+    static isMetalink(content) {
+        return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<([\w-]+:)?metalink[\s>]/.test(content.replace(/^\uFEFF/, ''));
+    }
+
+    parse(content) {
+        const document = content.replace(/^\uFEFF/, '').replace(/<!--[\s\S]*?-->/g, '');
+        const root = this.findElements(document, 'metalink')[0];
+        if (!root) {
+            throw new Error('Invalid metalink: no <metalink> element');
+        }
+
+        const version = root.attributes.version?.startsWith('3') ? 3 : 4;
+        return this.findElements(root.body, 'file').map(file => this.parseFile(file, version));
+    }
+
+    parseFile(file, version) {
+        const name = file.attributes.name;
+        if (!name) {
+            throw new Error('Invalid metalink: <file> without a name');
+        }
+
+        // Piece hashes are set aside first so their <hash> children are not taken for the whole file's
+        const pieceLists = this.findElements(file.body, 'pieces');
+        const body = pieceLists.reduce((rest, pieces) => rest.replace(pieces.raw, ''), file.body);
+
+        const size = this.findElements(body, 'size')[0];
+
+        return {
+            name,
+            size: size ? this.parseSize(size.text) : null,
+            hashes: this.findElements(body, 'hash')
+                .map(hash => ({ algorithm: MetalinkParser.normalizeAlgorithm(hash.attributes.type), digest: hash.text.toLowerCase() }))
+                .filter(hash => hash.algorithm && /^[a-f0-9]+$/.test(hash.digest)),
+            pieces: pieceLists
+                .map(pieces => ({
+                    algorithm: MetalinkParser.normalizeAlgorithm(pieces.attributes.type),
+                    length: parseInt(pieces.attributes.length, 10),
+                    hashes: this.findElements(pieces.body, 'hash').map(hash => hash.text.toLowerCase())
+                }))
+                .filter(pieces => pieces.algorithm && pieces.length > 0 && pieces.hashes.length > 0),
+            urls: this.parseUrls(body, version)
+        };
+    }
+
+    parseUrls(body, version) {
+        const urls = [];
+
+        for (const element of this.findElements(body, 'url')) {
+            // Version 3 lists .torrent files as urls of type "bittorrent"; 4 has <metaurl> for them
+            const type = element.attributes.type?.toLowerCase();
+            if (type === 'bittorrent' || !element.text) {
+                continue;
+            }
+
+            // Version 4 prefers the lowest priority (1 first), version 3 the highest preference (100 first)
+            let rank;
+            if (version === 3) {
+                const preference = parseInt(element.attributes.preference, 10);
+                rank = Number.isNaN(preference) ? Infinity : 100 - preference;
+            } else {
+                const priority = parseInt(element.attributes.priority, 10);
+                rank = Number.isNaN(priority) ? Infinity : priority;
+            }
+
+            urls.push({ url: element.text, rank });
+        }
+
+        // A stable sort keeps document order between urls of the same rank
+        return urls.sort((a, b) => (a.rank === b.rank ? 0 : a.rank < b.rank ? -1 : 1));
+    }
+
+    parseSize(text) {
+        const size = Number(text);
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new Error(`Invalid metalink: bad file size "${text}"`);
+        }
+        return size;
+    }
+
+    findElements(xml, name) {
+        // Elements of one name never nest in a metalink, so the first closing tag ends each one
+        const pattern = new RegExp(`<(?:[\\w-]+:)?${name}(\\s[^>]*?)?(/?)>(?:([\\s\\S]*?)</(?:[\\w-]+:)?${name}\\s*>)?`, 'g');
+        const elements = [];
+
+        for (const match of xml.matchAll(pattern)) {
+            const selfClosing = match[2] === '/';
+            const body = selfClosing ? '' : match[3] ?? '';
+
+            elements.push({
+                raw: selfClosing ? match[0].slice(0, match[0].indexOf('>') + 1) : match[0],
+                attributes: this.parseAttributes(match[1] || ''),
+                body,
+                text: this.decodeEntities(body.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim()
+            });
+        }
+
+        return elements;
+    }
+
+    parseAttributes(text) {
+        const attributes = {};
+        for (const [, name, double, single] of text.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attributes[name.replace(/^[\w-]+:/, '')] = this.decodeEntities(double ?? single);
+        }
+        return attributes;
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(point);
+            }
+            return ENTITIES[code] ?? entity;
+        });
+    }
+
+    static normalizeAlgorithm(type) {
+        const algorithm = String(type || '').toLowerCase().replace('-', '');
+        return HASH_PREFERENCE.includes(algorithm) ? algorithm : null;
+    }
+
+    // The strongest of several hashes, or null when none is supported
+    static strongest(hashes) {
+        return [...hashes].sort((a, b) => HASH_PREFERENCE.indexOf(a.algorithm) - HASH_PREFERENCE.indexOf(b.algorithm))[0] || null;
+    }
+}
+
+export default MetalinkParser;
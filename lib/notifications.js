@@ -46,6 +46,28 @@ class NotificationManager {
         return null;
     }
 
+    // Notifies about the downloads reported by a DownloadManager (or any DownloadEvents);
+    // files inside a torrent are left to the notification for the whole torrent
+    attach(events) {
+        events.on('complete', ({ filename, destination, stats, parent }) => {
+            if (!parent) {
+                this.notifyDownloadComplete(filename || path.basename(destination), stats);
+            }
+        });
+        events.on('error', ({ filename, error, aborted }) => {
+            // Pausing or canceling is not a failure worth a notification
+            if (!aborted) {
+                this.notifyDownloadError(filename, error.message);
+            }
+        });
+        events.on('batchComplete', ({ successful, totalSize, totalTime }) => {
+            if (successful > 0) {
+                this.notifyAllDownloadsComplete(successful, totalSize, totalTime);
+            }
+        });
+        return this;
+    }
+
     notifyDownloadComplete(filename, stats = {}) {
         if (!this.config.get('notifications', 'onComplete')) return;
 
@@ -85,6 +85,15 @@ class ProgressDisplay {
         return color(`[${progressBar}] ${progress.toFixed(1)}%`);
     }
 
+    // Draws the downloads reported by a DownloadManager (or any DownloadEvents)
+    attach(events) {
+        events.on('start', ({ id, filename, totalSize }) => this.startDownload(id, filename, totalSize));
+        events.on('progress', ({ id, downloaded, totalSize }) => this.updateProgress(id, downloaded, totalSize));
+        events.on('complete', ({ id }) => this.completeDownload(id));
+        events.on('error', ({ id, error }) => this.errorDownload(id, error.message));
+        return this;
+    }
+
     startDownload(downloadId, filename, totalSize = 0) {
         this.downloads.set(downloadId, {
             filename,
@@ -134,12 +143,21 @@ class ProgressDisplay {
             display += ` ${this.formatSpeed(speed)}`;
         }
 
+        // Output redirected to a file or discarded by the daemon has no line to redraw
+        if (!process.stdout.isTTY) return;
+
         // Clear the entire line and rewrite
-        process.stdout.clearLine(0);
-        process.stdout.cursorTo(0);
+        this.clearLine();
         process.stdout.write(display);
     }
 
+    clearLine() {
+        if (process.stdout.isTTY) {
+            process.stdout.clearLine(0);
+            process.stdout.cursorTo(0);
+        }
+    }
+
     completeDownload(downloadId) {
         const downloadInfo = this.downloads.get(downloadId);
         if (!downloadInfo) return;
@@ -148,8 +166,7 @@ class ProgressDisplay {
         const avgSpeed = downloadInfo.downloaded / totalTime;
 
         // Clear the progress line and show completion
-        process.stdout.clearLine(0);
-        process.stdout.cursorTo(0);
+        this.clearLine();
         console.log(chalk.green(`✓ ${downloadInfo.filename} completed`));
         console.log(chalk.gray(`  Total time: ${this.formatTime(totalTime)}`));
         console.log(chalk.gray(`  Average speed: ${this.formatSpeed(avgSpeed)}`));
@@ -166,8 +183,7 @@ class ProgressDisplay {
         if (!downloadInfo) return;
 
         // Clear the progress line and show error
-        process.stdout.clearLine(0);
-        process.stdout.cursorTo(0);
+        this.clearLine();
         console.log(chalk.red(`✗ ${downloadInfo.filename} failed: ${error}`));
         console.log('');
 
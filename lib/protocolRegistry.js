@@ -0,0 +1,53 @@
+import { URL } from 'url';
+
+class ProtocolRegistry {
+    constructor() {
+        this.handlers = [];
+    }
+
+    register(handler) {
+        if (!handler?.name) {
+            throw new Error('Protocol handler needs a name');
+        }
+        if (!Array.isArray(handler.schemes) && typeof handler.matches !== 'function') {
+            throw new Error(`Protocol handler ${handler.name} needs schemes or a matches() function`);
+        }
+        if (typeof handler.downloader?.download !== 'function') {
+            throw new Error(`Protocol handler ${handler.name} needs a downloader with a download() method`);
+        }
+
+        // Later registrations take precedence, so specific handlers (YouTube over HTTP, or a
+        // team's own handler over a built-in one) are registered after the general ones
+        this.handlers.unshift({
+            destination: 'file',
+            ...handler,
+            schemes: (handler.schemes || []).map(scheme => scheme.toLowerCase().replace(/:?$/, ':'))
+        });
+    }
+
+    resolve(url) {
+        let protocol;
+        try {
+            protocol = new URL(url).protocol;
+        } catch {
+            return null;
+        }
+
+        return this.handlers.find((handler) => {
+            if (handler.matches) {
+                return handler.matches(url);
+            }
+            return handler.schemes.includes(protocol);
+        }) || null;
+    }
+
+    canHandle(url) {
+        return this.resolve(url) !== null;
+    }
+
+    list() {
+        return this.handlers.map(({ name, schemes, destination }) => ({ name, schemes, destination }));
+    }
+}
+
+export default ProtocolRegistry;
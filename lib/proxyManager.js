@@ -0,0 +1,347 @@
+import net from 'net';
+import tls from 'tls';
+import http from 'http';
+import dns from 'dns';
+import { URL } from 'url';
+
+const DEFAULT_PORTS = {
+    'http:': 80,
+    'https:': 443,
+    'ftp:': 21,
+    'sftp:': 22
+};
+
+const ipv6ToBuffer = (address) => {
+    // Expand "::" into the missing zero groups
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2));
+    return buffer;
+};
+
+class ProxyManager {
+    constructor(config) {
+        this.config = config;
+    }
+
+    getEnv(name) {
+        return process.env[name.toLowerCase()] || process.env[name.toUpperCase()] || '';
+    }
+
+    getProxy(url) {
+        const urlObj = new URL(url);
+
+        if (this.isBypassed(urlObj)) {
+            return null;
+        }
+
+        let proxy;
+        if (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') {
+            const envName = urlObj.protocol === 'https:' ? 'https_proxy' : 'http_proxy';
+            proxy = this.config.get('protocols', 'http')?.proxy || this.getEnv(envName) || this.getEnv('all_proxy');
+        } else {
+            const section = urlObj.protocol.slice(0, -1);
+            proxy = this.config.get('protocols', section)?.proxy || this.getEnv('all_proxy');
+        }
+
+        if (!proxy) {
+            return null;
+        }
+
+        const proxyUrl = new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+        if (!['http:', 'socks5:', 'socks5h:'].includes(proxyUrl.protocol)) {
+            throw new Error(`Unsupported proxy protocol: ${proxyUrl.protocol}`);
+        }
+
+        return proxyUrl;
+    }
+
+    getBypassRules() {
+        const configured = this.config.get('protocols', 'http')?.noProxy || '';
+        const rules = Array.isArray(configured) ? configured.join(',') : configured;
+
+        return `${rules},${this.getEnv('no_proxy')}`
+            .split(/[\s,]+/)
+            .map(rule => rule.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    isBypassed(urlObj) {
+        const hostname = urlObj.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        const port = String(urlObj.port || DEFAULT_PORTS[urlObj.protocol] || '');
+
+        return this.getBypassRules().some((rule) => {
+            if (rule === '*') {
+                return true;
+            }
+
+            // Rules look like "example.com", ".example.com", "*.example.com" or "host:port"
+            const match = /^(.*?)(?::(\d+))?$/.exec(rule);
+            const ruleHost = match[1].replace(/^\*?\./, '');
+
+            if (match[2] && match[2] !== port) {
+                return false;
+            }
+
+            return hostname === ruleHost || hostname.endsWith(`.${ruleHost}`);
+        });
+    }
+
+    getAuthorizationHeader(proxy) {
+        if (!proxy.username) {
+            return {};
+        }
+
+        const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+        return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+    }
+
+    getRequestOptions(url) {
+        const proxy = this.getProxy(url);
+        if (!proxy) {
+            return {};
+        }
+
+        const target = new URL(url);
+
+        // Plain HTTP goes to an HTTP proxy as an absolute-form request
+        if (proxy.protocol === 'http:' && target.protocol === 'http:') {
+            return {
+                hostname: proxy.hostname,
+                port: proxy.port || 80,
+                path: target.href,
+                headers: {
+                    'Host': target.host,
+                    ...this.getAuthorizationHeader(proxy)
+                }
+            };
+        }
+
+        // Everything else is tunnelled, with TLS layered on top for HTTPS
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+        const port = target.port || DEFAULT_PORTS[target.protocol];
+
+        return {
+            createConnection: (options, callback) => {
+                this.connect(proxy, hostname, port).then((socket) => {
+                    if (target.protocol !== 'https:') {
+                        callback(null, socket);
+                        return;
+                    }
+
+                    callback(null, tls.connect({
+                        socket,
+                        servername: net.isIP(hostname) ? undefined : hostname
+                    }));
+                }, callback);
+            }
+        };
+    }
+
+    connect(proxy, host, port) {
+        host = host.replace(/^\[|\]$/g, '');
+
+        if (proxy.protocol === 'http:') {
+            return this.connectHttp(proxy, host, port);
+        }
+
+        return this.connectSocks5(proxy, host, port);
+    }
+
+    connectHttp(proxy, host, port) {
+        return new Promise((resolve, reject) => {
+            const target = net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+
+            const req = http.request({
+                hostname: proxy.hostname,
+                port: proxy.port || 80,
+                method: 'CONNECT',
+                path: target,
+                headers: {
+                    'Host': target,
+                    ...this.getAuthorizationHeader(proxy)
+                },
+                timeout: this.config.get('download', 'timeout')
+            });
+
+            req.on('connect', (res, socket, head) => {
+                if (res.statusCode !== 200) {
+                    socket.destroy();
+                    reject(new Error(`Proxy CONNECT failed: HTTP ${res.statusCode}`));
+                    return;
+                }
+
+                // Servers that speak first, such as FTP, may arrive together with the proxy's reply
+                if (head.length > 0) {
+                    socket.unshift(head);
+                }
+                resolve(socket);
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error('Proxy connection timeout'));
+            });
+
+            req.on('error', (error) => {
+                reject(new Error(`Proxy error: ${error.message}`));
+            });
+
+            req.end();
+        });
+    }
+
+    async connectSocks5(proxy, host, port) {
+        // socks5:// resolves names locally, socks5h:// lets the proxy resolve them
+        if (proxy.protocol === 'socks5:' && !net.isIP(host)) {
+            ({ address: host } = await dns.promises.lookup(host));
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(proxy.port || 1080, proxy.hostname);
+            let buffer = Buffer.alloc(0);
+            let waiting = null;
+
+            const onData = (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                waiting?.();
+            };
+
+            const read = (length) => new Promise((resolveRead) => {
+                waiting = () => {
+                    if (buffer.length >= length) {
+                        waiting = null;
+                        const bytes = buffer.subarray(0, length);
+                        buffer = buffer.subarray(length);
+                        resolveRead(bytes);
+                    }
+                };
+                waiting();
+            });
+
+            const fail = (error) => {
+                socket.destroy();
+                reject(new Error(`SOCKS5 proxy error: ${error.message}`));
+            };
+
+            const handshake = async () => {
+                const username = decodeURIComponent(proxy.username);
+                const password = decodeURIComponent(proxy.password);
+
+                // Greeting: offer "no authentication", plus username/password when we have credentials
+                socket.write(Buffer.from(username ? [5, 2, 0, 2] : [5, 1, 0]));
+                const [, method] = await read(2);
+
+                if (method === 2) {
+                    const user = Buffer.from(username);
+                    const pass = Buffer.from(password);
+                    socket.write(Buffer.concat([
+                        Buffer.from([1, user.length]), user,
+                        Buffer.from([pass.length]), pass
+                    ]));
+
+                    const [, status] = await read(2);
+                    if (status !== 0) {
+                        throw new Error('authentication failed');
+                    }
+                } else if (method !== 0) {
+                    throw new Error('no acceptable authentication method');
+                }
+
+                let address;
+                if (net.isIPv4(host)) {
+                    address = Buffer.from([1, ...host.split('.').map(Number)]);
+                } else if (net.isIPv6(host)) {
+                    address = Buffer.concat([Buffer.from([4]), ipv6ToBuffer(host)]);
+                } else {
+                    const name = Buffer.from(host);
+                    address = Buffer.concat([Buffer.from([3, name.length]), name]);
+                }
+
+                const portBytes = Buffer.alloc(2);
+                portBytes.writeUInt16BE(Number(port));
+                socket.write(Buffer.concat([Buffer.from([5, 1, 0]), address, portBytes]));
+
+                const [, reply, , addressType] = await read(4);
+                if (reply !== 0) {
+                    throw new Error(`connect failed with code ${reply}`);
+                }
+
+                // Skip the bound address and port the proxy reports back
+                const addressLength = addressType === 1 ? 4 : addressType === 4 ? 16 : (await read(1))[0];
+                await read(addressLength + 2);
+            };
+
+            socket.setTimeout(this.config.get('download', 'timeout'), () => {
+                fail(new Error('handshake timeout'));
+            });
+            const onClose = () => fail(new Error('connection closed during handshake'));
+
+            socket.on('data', onData);
+            socket.once('error', fail);
+            socket.once('close', onClose);
+
+            socket.once('connect', () => {
+                handshake().then(() => {
+                    socket.setTimeout(0);
+                    socket.removeListener('data', onData);
+                    socket.removeListener('error', fail);
+                    socket.removeListener('close', onClose);
+                    if (buffer.length > 0) {
+                        socket.unshift(buffer);
+                    }
+                    resolve(socket);
+                }, fail);
+            });
+        });
+    }
+
+    createRelay(proxy, host, port) {
+        // A local listener that tunnels a connection through the proxy, for clients such as the
+        // FTP library that open their own sockets. It takes the first connection only and stops
+        // listening, so other local processes cannot use the proxy (and its credentials) through it
+        return new Promise((resolve, reject) => {
+            const sockets = new Set();
+
+            const server = net.createServer((client) => {
+                server.close();
+                sockets.add(client);
+                client.on('error', () => client.destroy());
+
+                this.connect(proxy, host, port).then((upstream) => {
+                    sockets.add(upstream);
+                    if (client.destroyed) {
+                        upstream.destroy();
+                        return;
+                    }
+                    upstream.on('error', () => client.destroy());
+                    client.on('close', () => upstream.destroy());
+                    client.pipe(upstream).pipe(client);
+                }, () => client.destroy());
+            });
+            server.maxConnections = 1;
+
+            server.on('error', reject);
+            server.listen(0, '127.0.0.1', () => {
+                server.unref();
+                resolve({
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    // Called once the transfer settled or failed; also drops a tunnel still open
+                    close: () => {
+                        server.close();
+                        sockets.forEach(socket => socket.destroy());
+                    }
+                });
+            });
+        });
+    }
+}
+
+export default ProxyManager;
@@ -0,0 +1,238 @@
+// Errors with these codes fail the same way however often they are retried
+const FATAL_CODES = [
+    'ENOTFOUND',
+    'EACCES',
+    'EPERM',
+    'ENOSPC',
+    'EROFS',
+    'EISDIR',
+    'ENOTDIR',
+    'ENOENT',
+    'ERR_BAD_AUTH',
+    'ERR_BAD_PATH'
+];
+
+// Client errors that say "not now" rather than "never": timeout, too early, too many requests
+const RETRYABLE_CLIENT_STATUS = [408, 425, 429];
+
+// Server errors that will not go away: not implemented, HTTP version not supported
+const FATAL_SERVER_STATUS = [501, 505];
+
+// One policy shared by all downloaders: which errors are worth another attempt, how long to
+// wait before it, and which hosts failed so often that they are left alone for a while
+class RetryPolicy {
+    constructor(config, logger, events) {
+        this.config = config;
+        this.logger = logger;
+        this.events = events;
+        this.hosts = new Map();
+    }
+
+    // protocols.<name>.retry overrides the download and retry sections for one protocol
+    getSettings(protocol) {
+        const overrides = (protocol && this.config.get('protocols', protocol)?.retry) || {};
+        const retry = this.config.get('retry') || {};
+
+        return {
+            maxRetries: Math.max(1, overrides.maxRetries ?? this.config.get('download', 'maxRetries') ?? 3),
+            retryDelay: overrides.retryDelay ?? this.config.get('download', 'retryDelay') ?? 1000,
+            maxDelay: overrides.maxDelay ?? retry.maxDelay ?? 60000,
+            jitter: overrides.jitter ?? retry.jitter ?? 0.2,
+            hostFailures: retry.hostFailures ?? 5,
+            hostCooldown: retry.hostCooldown ?? 60000
+        };
+    }
+
+    // Tries the sources (a URL and its mirrors) in turn until one succeeds, and all of them
+    // again after a delay while attempts are left and at least one error may go away
+    async run(sources, operation, { protocol, signal, label = 'download' } = {}) {
+        const settings = this.getSettings(protocol);
+        const url = sources[0];
+        const name = label.charAt(0).toUpperCase() + label.slice(1);
+        let lastError;
+
+        for (let attempt = 1; attempt <= settings.maxRetries; attempt++) {
+            await this.waitForHosts(sources, signal);
+            const errors = [];
+
+            // Paused hosts sit the round out, mirrors on other hosts are tried instead
+            const available = sources.filter(source => this.isHostAvailable(source));
+
+            for (const source of available.length > 0 ? available : sources) {
+                try {
+                    const result = await operation(source);
+                    this.recordSuccess(source);
+                    return result;
+                } catch (error) {
+                    if (signal?.aborted) {
+                        throw signal.reason;
+                    }
+
+                    errors.push(error);
+                    this.recordFailure(source, error, settings);
+
+                    if (sources.length > 1) {
+                        this.logger.warn('Mirror failed, trying the next one', { url: source, error: error.message });
+                    }
+                }
+            }
+
+            lastError = errors[errors.length - 1];
+
+            if (!errors.some(error => this.isRetryable(error))) {
+                this.logger.error(`${name} failed, not retrying`, { url, error: lastError.message });
+                throw lastError;
+            }
+
+            if (attempt < settings.maxRetries) {
+                const delay = this.getDelay(attempt, errors, settings);
+
+                // Coming back sooner than the server asked would only be refused again
+                if (delay > settings.maxDelay) {
+                    this.logger.error(`${name} failed, the server asked to wait ${delay}ms, longer than retry.maxDelay`, {
+                        url,
+                        error: lastError.message
+                    });
+                    throw lastError;
+                }
+
+                this.logger.warn(`${name} attempt ${attempt} failed, retrying in ${delay}ms`, {
+                    url,
+                    error: lastError.message
+                });
+                this.events?.emit('retry', { url, attempt, delay, error: lastError });
+                await this.sleep(delay, signal);
+            } else {
+                this.logger.error(`All ${settings.maxRetries} ${label} attempts failed`, {
+                    url,
+                    error: lastError.message
+                });
+            }
+        }
+
+        throw lastError;
+    }
+
+    isRetryable(error) {
+        // Downloaders that know better mark their errors themselves
+        if (typeof error.retryable === 'boolean') {
+            return error.retryable;
+        }
+
+        if (error.statusCode) {
+            if (error.statusCode >= 500) {
+                return !FATAL_SERVER_STATUS.includes(error.statusCode);
+            }
+            return RETRYABLE_CLIENT_STATUS.includes(error.statusCode);
+        }
+
+        // Timeouts, resets, refused connections and anything unknown get another chance
+        return !FATAL_CODES.includes(error.code);
+    }
+
+    getDelay(attempt, errors, settings) {
+        // Exponential backoff, spread out so that downloads failing together do not retry
+        // together, and never longer than maxDelay
+        const backoff = settings.retryDelay * Math.pow(2, attempt - 1);
+        let delay = Math.min(backoff + backoff * settings.jitter * Math.random(), settings.maxDelay);
+
+        // A server that said when to come back is not asked sooner, even past maxDelay; run()
+        // gives up rather than wait that long
+        for (const error of errors) {
+            const retryAfter = RetryPolicy.parseRetryAfter(error.retryAfter);
+            if (retryAfter !== null) {
+                delay = Math.max(delay, retryAfter);
+            }
+        }
+
+        return Math.round(delay);
+    }
+
+    // Retry-After is a number of seconds or an HTTP date; returns milliseconds or null
+    static parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        if (/^\s*\d+\s*$/.test(String(value))) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch {
+            return null;
+        }
+    }
+
+    recordSuccess(url) {
+        this.hosts.delete(this.getHost(url));
+    }
+
+    recordFailure(url, error, settings) {
+        // Only failures that point at the host count; a missing file says nothing about it
+        const host = this.getHost(url);
+        if (!host || settings.hostFailures <= 0 || !this.isRetryable(error)) {
+            return;
+        }
+
+        const state = this.hosts.get(host) || { failures: 0, openUntil: 0 };
+        state.failures++;
+
+        // Once open, the circuit lets one attempt through after the cooldown and opens
+        // again right away if that fails too
+        if (state.failures >= settings.hostFailures && state.openUntil <= Date.now()) {
+            state.openUntil = Date.now() + settings.hostCooldown;
+            this.logger.warn(`Host failed ${state.failures} times in a row, pausing it for ${settings.hostCooldown}ms`, {
+                host,
+                error: error.message
+            });
+        }
+
+        this.hosts.set(host, state);
+    }
+
+    isHostAvailable(url) {
+        const state = this.hosts.get(this.getHost(url));
+        return !state || state.openUntil <= Date.now();
+    }
+
+    // Waits until at least one of the sources may be tried again
+    async waitForHosts(sources, signal) {
+        if (sources.some(source => this.isHostAvailable(source))) {
+            return;
+        }
+
+        const reopens = Math.min(...sources.map(source => this.hosts.get(this.getHost(source)).openUntil));
+        const delay = reopens - Date.now();
+
+        this.logger.info(`Waiting ${delay}ms for a paused host`, { url: sources[0] });
+        await this.sleep(delay, signal);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+export default RetryPolicy;
@@ -0,0 +1,84 @@
+// robots.txt as described in RFC 9309: the group for the most specific matching user agent
+// applies, and within it the longest matching rule wins, Allow over Disallow on a tie
+class RobotsTxt {
+    constructor(groups = []) {
+        this.groups = groups;
+    }
+
+    static parse(content) {
+        const groups = [];
+        let current = null;
+        let inAgents = false;
+
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.replace(/\r$/, '').replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                continue;
+            }
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                // Consecutive User-agent lines share the rules that follow them
+                if (!inAgents) {
+                    current = { agents: [], rules: [] };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                inAgents = true;
+            } else if ((field === 'allow' || field === 'disallow') && current) {
+                // An empty Disallow allows everything and adds no rule
+                if (value) {
+                    current.rules.push({ allow: field === 'allow', path: value, pattern: RobotsTxt.toRegExp(value) });
+                }
+                inAgents = false;
+            } else {
+                inAgents = false;
+            }
+        }
+
+        return new RobotsTxt(groups);
+    }
+
+    static toRegExp(rule) {
+        // "*" matches any run of characters and a trailing "$" anchors the end
+        const anchored = rule.endsWith('$');
+        const body = (anchored ? rule.slice(0, -1) : rule)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${body}${anchored ? '$' : ''}`);
+    }
+
+    getRules(userAgent) {
+        // The product token ("JS-Downloader" of "JS-Downloader/2.0.0") is what robots.txt names
+        const token = String(userAgent || '').split('/')[0].trim().toLowerCase();
+
+        const matching = this.groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+        const groups = matching.length > 0 ? matching : this.groups.filter(group => group.agents.includes('*'));
+
+        return groups.flatMap(group => group.rules);
+    }
+
+    isAllowed(urlPath, userAgent) {
+        if (urlPath === '/robots.txt') {
+            return true;
+        }
+
+        let best = null;
+        for (const rule of this.getRules(userAgent)) {
+            if (!rule.pattern.test(urlPath)) {
+                continue;
+            }
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+
+        return best ? best.allow : true;
+    }
+}
+
+export default RobotsTxt;
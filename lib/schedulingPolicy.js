@@ -0,0 +1,126 @@
+const PRIORITIES = ['high', 'normal', 'low'];
+
+class SchedulingPolicy {
+    constructor(options = {}) {
+        this.perHostLimit = options.perHostLimit || 0;
+        this.hostDelay = options.hostDelay || 0;
+
+        this.activeByHost = new Map();
+        this.lastStartByHost = new Map();
+        this.lastTurnByHost = new Map();
+        this.turn = 0;
+    }
+
+    setPerHostLimit(perHostLimit) {
+        this.perHostLimit = perHostLimit || 0;
+    }
+
+    setHostDelay(hostDelay) {
+        this.hostDelay = hostDelay || 0;
+    }
+
+    // Candidates are { host, priority } objects in queue order; the first of the best is chosen
+    pick(candidates, now = Date.now()) {
+        let best = null;
+
+        for (const candidate of candidates) {
+            if (this.isReady(candidate.host, now) && (!best || this.compare(candidate, best) < 0)) {
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    compare(a, b) {
+        const byPriority = SchedulingPolicy.rank(a.priority) - SchedulingPolicy.rank(b.priority);
+        if (byPriority !== 0) {
+            return byPriority;
+        }
+
+        // Hosts served longest ago go first, so one host with many URLs cannot starve the others
+        return (this.lastTurnByHost.get(a.host) ?? -1) - (this.lastTurnByHost.get(b.host) ?? -1);
+    }
+
+    isReady(host, now = Date.now()) {
+        if (!host) {
+            return true;
+        }
+
+        if (this.perHostLimit > 0 && (this.activeByHost.get(host) || 0) >= this.perHostLimit) {
+            return false;
+        }
+
+        return this.getDelay(host, now) === 0;
+    }
+
+    getDelay(host, now = Date.now()) {
+        const lastStart = this.lastStartByHost.get(host);
+        if (!host || !this.hostDelay || lastStart === undefined) {
+            return 0;
+        }
+
+        return Math.max(0, lastStart + this.hostDelay - now);
+    }
+
+    // How long until a candidate held back only by the politeness delay may start
+    getNextDelay(candidates, now = Date.now()) {
+        let delay = null;
+
+        for (const { host } of candidates) {
+            if (this.perHostLimit > 0 && (this.activeByHost.get(host) || 0) >= this.perHostLimit) {
+                continue;
+            }
+
+            const wait = this.getDelay(host, now);
+            if (wait > 0 && (delay === null || wait < delay)) {
+                delay = wait;
+            }
+        }
+
+        return delay;
+    }
+
+    started(host, now = Date.now()) {
+        this.lastTurnByHost.set(host, ++this.turn);
+        if (!host) {
+            return;
+        }
+
+        this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+        this.lastStartByHost.set(host, now);
+    }
+
+    finished(host) {
+        if (!host) {
+            return;
+        }
+
+        const count = (this.activeByHost.get(host) || 0) - 1;
+        if (count > 0) {
+            this.activeByHost.set(host, count);
+        } else {
+            this.activeByHost.delete(host);
+        }
+    }
+
+    static normalizePriority(priority) {
+        if (priority === undefined || priority === null) {
+            return 'normal';
+        }
+
+        const level = String(priority).toLowerCase();
+        if (!PRIORITIES.includes(level)) {
+            throw new Error(`Invalid priority: ${priority} (expected ${PRIORITIES.join(', ')})`);
+        }
+
+        return level;
+    }
+
+    static rank(priority) {
+        const index = PRIORITIES.indexOf(priority);
+        return index === -1 ? PRIORITIES.indexOf('normal') : index;
+    }
+}
+
+export default SchedulingPolicy;
@@ -1,124 +1,168 @@
 import SftpClient from 'ssh2-sftp-client';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { URL } from 'url';
+import { pipeline } from 'stream/promises';
+import ProxyManager from './proxyManager.js';
+
+// SFTP status codes that no retry will change: no such file, permission denied
+const SFTP_FATAL_STATUS = [2, 3];
+
+const sftpError = (error) => {
+    const wrapped = new Error(`SFTP error: ${error.message}`);
+    wrapped.code = error.code;
+    if (SFTP_FATAL_STATUS.includes(error.code)) {
+        wrapped.retryable = false;
+    }
+    return wrapped;
+};
 
 class SftpDownloader {
-    constructor(config, logger, progressDisplay, fileManager, notifications) {
+    static protocol = {
+        name: 'sftp',
+        schemes: ['sftp:'],
+        destination: 'file'
+    };
+
+    constructor(config, logger, events, fileManager, bandwidthLimiter, retryPolicy) {
         this.config = config;
         this.logger = logger;
-        this.progressDisplay = progressDisplay;
+        this.events = events;
         this.fileManager = fileManager;
-        this.notifications = notifications;
+        this.bandwidthLimiter = bandwidthLimiter;
+        this.retryPolicy = retryPolicy;
+        this.proxyManager = new ProxyManager(config);
     }
 
     async download(url, destination, options = {}) {
         const downloadId = `sftp_${Date.now()}_${Math.random()}`;
         const filename = path.basename(destination);
+        const partPath = this.fileManager.claimPartFile(destination, [url, ...(options.mirrors || [])]);
         
         try {
             this.logger.logDownloadStart(url, destination);
+            this.bandwidthLimiter.register(downloadId, options.limitRate);
+            options.onDestination?.(destination, partPath);
             
-            const result = await this.downloadWithRetry(url, destination, downloadId, options);
+            const result = await this.downloadWithRetry(url, destination, partPath, downloadId, options);
+            if (result.unchanged) {
+                return result;
+            }
             
-            this.progressDisplay.completeDownload(downloadId);
-            this.notifications.notifyDownloadComplete(filename, result.stats);
-            this.logger.logDownloadComplete(url, destination, result.stats);
+            result.destination = await this.fileManager.commitPartFile(partPath, destination, options, {
+                checksum: result.checksum
+            });
+            if (this.fileManager.isTimestamping(options)) {
+                this.fileManager.saveTimestampInfo(result.destination, url, { modified: result.remoteModified });
+            }
+            this.events.emit('complete', { id: downloadId, url, destination: result.destination, stats: result.stats });
+            this.logger.logDownloadComplete(url, result.destination, result.stats);
             
             return result;
             
         } catch (error) {
-            this.progressDisplay.errorDownload(downloadId, error.message);
-            this.notifications.notifyDownloadError(filename, error.message);
-            this.logger.logDownloadError(url, error);
+            const aborted = Boolean(options.signal?.aborted);
+            this.events.emit('error', { id: downloadId, url, filename, error, aborted });
+            if (!aborted) {
+                this.logger.logDownloadError(url, error);
+            }
             throw error;
+        } finally {
+            this.bandwidthLimiter.unregister(downloadId);
+            this.fileManager.releasePartFile(partPath);
         }
     }
 
-    async downloadWithRetry(url, destination, downloadId, options = {}) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.config.download.maxRetries; attempt++) {
-            try {
-                return await this.performDownload(url, destination, downloadId, options);
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < this.config.download.maxRetries) {
-                    const delay = this.config.download.retryDelay * Math.pow(2, attempt - 1);
-                    this.logger.warn(`SFTP download attempt ${attempt} failed, retrying in ${delay}ms`, {
-                        url,
-                        error: error.message
-                    });
-                    await this.sleep(delay);
-                } else {
-                    this.logger.error(`All ${this.config.download.maxRetries} SFTP download attempts failed`, {
-                        url,
-                        error: error.message
-                    });
-                }
-            }
-        }
-        
-        throw lastError;
+    async downloadWithRetry(url, destination, partPath, downloadId, options = {}) {
+        return this.retryPolicy.run(
+            [url],
+            () => this.performDownload(url, destination, partPath, downloadId, options),
+            { protocol: 'sftp', signal: options.signal, label: 'SFTP download' }
+        );
     }
 
-    async performDownload(url, destination, downloadId, options = {}) {
+    // Writes to partPath; destination is the file a timestamping run compares against
+    async performDownload(url, destination, partPath, downloadId, options = {}) {
         const startTime = Date.now();
         const urlObj = new URL(url);
         const sftp = new SftpClient();
         
         try {
-            const connectionOptions = {
-                host: urlObj.hostname,
-                port: urlObj.port || this.config.protocols.sftp.port,
-                username: urlObj.username || 'anonymous',
-                password: urlObj.password,
-                connectTimeout: this.config.protocols.sftp.timeout,
-                ...options.sftpOptions
-            };
-
-            // Handle SSH key authentication if provided
-            if (options.privateKey) {
-                connectionOptions.privateKey = options.privateKey;
-                delete connectionOptions.password;
-            }
-
-            this.logger.debug('Connecting to SFTP server', { host: urlObj.hostname });
-            await sftp.connect(connectionOptions);
+            await this.connect(sftp, url, options);
 
             const remotePath = decodeURIComponent(urlObj.pathname);
             
             // Get file stats
             let fileSize = 0;
+            let remoteModified = null;
             try {
                 const stats = await sftp.stat(remotePath);
                 fileSize = stats.size;
+                remoteModified = stats.modifyTime ? new Date(stats.modifyTime) : null;
             } catch (error) {
                 this.logger.warn('Could not get file size', { error: error.message });
             }
 
+            if (this.fileManager.isTimestamping(options) &&
+                this.fileManager.isUpToDate(destination, { size: fileSize, modified: remoteModified })) {
+                this.logger.info('Remote file unchanged, keeping the local copy', { url, destination });
+                return { stats: { size: 0, duration: 0, averageSpeed: 0 }, destination, unchanged: true };
+            }
+
             // Initialize progress display
-            this.progressDisplay.startDownload(downloadId, path.basename(destination), fileSize);
+            this.events.emit('start', { id: downloadId, url, filename: path.basename(destination), totalSize: fileSize });
+
+            // Continue a partial file when an earlier attempt left resume info behind
+            const enableResume = this.config.get('download', 'enableResume');
+            const resumeInfo = enableResume && fs.existsSync(partPath) ? this.fileManager.getResumeInfo(partPath) : null;
+            let startByte = resumeInfo ? fs.statSync(partPath).size : 0;
+
+            // A partial file left by a segmented HTTP mirror, or one of another size, cannot be appended to
+            if (startByte > 0 && (resumeInfo.segments || (resumeInfo.totalSize && fileSize && resumeInfo.totalSize !== fileSize))) {
+                this.logger.warn('Partial file does not match this mirror, starting over', { url });
+                startByte = 0;
+            }
+
+            if (startByte > 0) {
+                this.logger.info(`Resuming SFTP download from byte ${startByte}`, { url });
+            } else if (enableResume && fileSize > 0) {
+                this.fileManager.createResumeInfo(partPath, url, fileSize);
+            }
 
             // Download with progress tracking
-            let downloaded = 0;
+            let downloaded = startByte;
             let lastProgressUpdate = Date.now();
 
-            const downloadOptions = {
-                step: (totalTransferred, chunk, total) => {
-                    downloaded = totalTransferred;
-                    
-                    // Update progress at configured intervals
-                    const now = Date.now();
-                    if (now - lastProgressUpdate >= this.config.progress.updateInterval) {
-                        this.progressDisplay.updateProgress(downloadId, downloaded, total);
-                        lastProgressUpdate = now;
-                    }
+            // A resumed file is hashed in full once it completes
+            const hash = options.checksum && startByte === 0
+                ? crypto.createHash(options.checksum.algorithm)
+                : null;
+
+            // Stream the file so it can pass through the bandwidth limiter
+            const readStream = sftp.createReadStream(remotePath, { start: startByte });
+
+            readStream.on('data', (chunk) => {
+                downloaded += chunk.length;
+                hash?.update(chunk);
+                
+                // Update progress at configured intervals
+                const now = Date.now();
+                if (now - lastProgressUpdate >= this.config.get('progress', 'updateInterval')) {
+                    this.events.emit('progress', { id: downloadId, url, downloaded, totalSize: fileSize });
+                    lastProgressUpdate = now;
                 }
-            };
+            });
+
+            await pipeline(
+                readStream,
+                this.bandwidthLimiter.throttle(downloadId),
+                fs.createWriteStream(partPath, { flags: startByte > 0 ? 'a' : 'w' }),
+                { signal: options.signal }
+            );
 
-            await sftp.fastGet(remotePath, destination, downloadOptions);
+            // A read stream that ends early looks like a finished one
+            this.fileManager.checkPartFile(partPath, fileSize);
             
             const endTime = Date.now();
             const duration = (endTime - startTime) / 1000;
@@ -128,10 +172,14 @@ class SftpDownloader {
                 averageSpeed: (downloaded || fileSize) / duration
             };
 
-            return { stats, destination };
+            return { stats, checksum: hash?.digest('hex'), remoteModified };
 
         } catch (error) {
-            throw new Error(`SFTP error: ${error.message}`);
+            // The pipeline has closed the file by now; note how far it got for the next run
+            if (options.signal?.aborted) {
+                await this.fileManager.closePartialFile(partPath);
+            }
+            throw sftpError(error);
         } finally {
             try {
                 await sftp.end();
@@ -141,8 +189,52 @@ class SftpDownloader {
         }
     }
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // The file from byte start on, for DownloadManager.createReadStream; the connection
+    // closes with the stream
+    async createReadStream(url, start = 0, options = {}) {
+        const sftp = new SftpClient();
+
+        try {
+            await this.connect(sftp, url, options);
+
+            const remotePath = decodeURIComponent(new URL(url).pathname);
+            const { size } = await sftp.stat(remotePath);
+            const stream = sftp.createReadStream(remotePath, { start });
+            stream.once('close', () => sftp.end().catch(() => {}));
+
+            return { stream, size };
+        } catch (error) {
+            sftp.end().catch(() => {});
+            throw sftpError(error);
+        }
+    }
+
+    async connect(sftp, url, options = {}) {
+        const urlObj = new URL(url);
+        const connectionOptions = {
+            host: urlObj.hostname,
+            port: urlObj.port || this.config.get('protocols', 'sftp').port,
+            username: urlObj.username || 'anonymous',
+            password: urlObj.password,
+            connectTimeout: this.config.get('protocols', 'sftp').timeout,
+            ...options.sftpOptions
+        };
+
+        // ssh2 accepts an already connected socket, so tunnel it through the proxy
+        const proxy = this.proxyManager.getProxy(url);
+        if (proxy) {
+            this.logger.debug('Connecting to SFTP server through proxy', { proxy: proxy.host });
+            connectionOptions.sock = await this.proxyManager.connect(proxy, connectionOptions.host, connectionOptions.port);
+        }
+
+        // Handle SSH key authentication if provided
+        if (options.privateKey) {
+            connectionOptions.privateKey = options.privateKey;
+            delete connectionOptions.password;
+        }
+
+        this.logger.debug('Connecting to SFTP server', { host: urlObj.hostname });
+        await sftp.connect(connectionOptions);
     }
 
     static isValidSftpUrl(url) {
@@ -0,0 +1,329 @@
+import path from 'path';
+import HttpDownloader from './httpDownloader.js';
+import RobotsTxt from './robotsTxt.js';
+
+// Links to these are fetched to look for more links; anything else is taken for a file
+const PAGE_EXTENSIONS = ['', '.html', '.htm', '.xhtml', '.shtml', '.php', '.asp', '.aspx', '.jsp', '.cgi'];
+
+const PAGE_TYPES = /^\s*(text\/html|application\/xhtml\+xml)/i;
+
+// Listings larger than this are cut off rather than read into memory whole
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+class SiteCrawler {
+    constructor(config, logger, httpDownloader, fileManager) {
+        this.config = config;
+        this.logger = logger;
+        this.httpDownloader = httpDownloader;
+        this.fileManager = fileManager;
+        this.robots = new Map();
+    }
+
+    // Follows links from an HTML page or directory listing and returns the files it found as
+    // { url, options } entries, with the remote directories as subdirectories
+    async crawl(startUrl, options = {}) {
+        if (!HttpDownloader.isValidUrl(startUrl)) {
+            throw new Error(`Only HTTP and HTTPS sites can be crawled: ${startUrl}`);
+        }
+
+        const settings = this.getSettings(options);
+        const start = new URL(startUrl);
+        start.hash = '';
+
+        // The directory of the start page is the prefix the crawl stays under by default
+        const root = start.pathname.endsWith('/') ? start.pathname : path.posix.dirname(start.pathname).replace(/\/?$/, '/');
+
+        const seen = new Set([start.href]);
+        const files = new Map();
+        const queue = [{ url: start.href, depth: 0 }];
+        let pages = 0;
+
+        while (queue.length > 0) {
+            const { url, depth } = queue.shift();
+
+            if (!(await this.isAllowed(url, settings))) {
+                this.logger.info('Skipped, disallowed by robots.txt', { url });
+                continue;
+            }
+
+            if (pages >= settings.maxPages) {
+                this.logger.warn(`Crawl stopped after ${settings.maxPages} pages (crawl.maxPages)`, { url: startUrl });
+                break;
+            }
+
+            if (pages > 0 && settings.hostDelay > 0) {
+                await this.httpDownloader.sleep(settings.hostDelay);
+            }
+
+            let page;
+            try {
+                page = await this.fetchPage(url, options);
+            } catch (error) {
+                this.logger.warn('Page could not be crawled', { url, error: error.message });
+                continue;
+            }
+
+            // What turned out not to be a page is a file like any other link
+            if (!page) {
+                this.addFile(files, url, root, settings);
+                continue;
+            }
+
+            pages++;
+            this.logger.debug('Page crawled', { url: page.url, depth });
+
+            if (depth >= settings.depth) {
+                continue;
+            }
+
+            for (const link of this.extractLinks(page.html, page.url)) {
+                if (seen.has(link.href)) {
+                    continue;
+                }
+                seen.add(link.href);
+
+                if (!this.isInScope(link, start, root, settings.scope) || this.matchesAny(link.href, settings.rejectRegex)) {
+                    continue;
+                }
+
+                if (this.isPageLink(link)) {
+                    queue.push({ url: link.href, depth: depth + 1 });
+                } else if (await this.isAllowed(link.href, settings)) {
+                    this.addFile(files, link.href, root, settings);
+                } else {
+                    this.logger.info('Skipped, disallowed by robots.txt', { url: link.href });
+                }
+            }
+        }
+
+        this.logger.info(`Crawled ${pages} pages, found ${files.size} files`, { url: startUrl });
+        return [...files.values()];
+    }
+
+    getSettings(options) {
+        const crawl = this.config.get('crawl') || {};
+
+        const scope = options.scope || crawl.scope || 'prefix';
+        if (!['prefix', 'host'].includes(scope)) {
+            throw new Error(`Invalid crawl scope: ${scope} (expected prefix or host)`);
+        }
+
+        const depth = Number(options.depth ?? crawl.depth ?? 5);
+        if (!Number.isInteger(depth) || depth < 0) {
+            throw new Error('Crawl depth must be a whole number of at least 0');
+        }
+
+        return {
+            depth,
+            scope,
+            robots: options.robots ?? crawl.respectRobots ?? true,
+            maxPages: crawl.maxPages || 1000,
+            hostDelay: this.config.get('download', 'hostDelay') || 0,
+            accept: [].concat(options.accept || []).map(glob => SiteCrawler.globToRegExp(glob)),
+            reject: [].concat(options.reject || []).map(glob => SiteCrawler.globToRegExp(glob)),
+            acceptRegex: [].concat(options.acceptRegex || []).map(pattern => SiteCrawler.toRegExp(pattern)),
+            rejectRegex: [].concat(options.rejectRegex || []).map(pattern => SiteCrawler.toRegExp(pattern)),
+            userAgent: this.config.get('protocols', 'http').userAgent
+        };
+    }
+
+    async fetchPage(url, options = {}) {
+        const { req, res, url: finalUrl } = await this.httpDownloader.openStream(url, {}, options);
+
+        if (!PAGE_TYPES.test(res.headers['content-type'] || '')) {
+            req.destroy();
+            return null;
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of res) {
+            chunks.push(chunk);
+            size += chunk.length;
+
+            if (size >= MAX_PAGE_SIZE) {
+                this.logger.warn('Page too large, only the start is searched for links', { url });
+                req.destroy();
+                break;
+            }
+        }
+
+        return { url: finalUrl, html: Buffer.concat(chunks).toString('utf8') };
+    }
+
+    extractLinks(html, pageUrl) {
+        const page = new URL(pageUrl);
+        const body = html.replace(/<!--[\s\S]*?-->/g, '');
+
+        let base = page;
+        const baseTag = /<base\b[^>]*?\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(body);
+        if (baseTag) {
+            try {
+                base = new URL(this.decodeEntities(baseTag[1] ?? baseTag[2] ?? baseTag[3]), page);
+            } catch {
+                // An unusable <base> is ignored
+            }
+        }
+
+        const links = [];
+        for (const match of body.matchAll(/<(?:a|area)\b[^>]*?\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+            let link;
+            try {
+                link = new URL(this.decodeEntities(match[1] ?? match[2] ?? match[3]).trim(), base);
+            } catch {
+                continue;
+            }
+
+            if (!HttpDownloader.isValidUrl(link.href)) {
+                continue;
+            }
+            link.hash = '';
+
+            // Listings link to themselves with a different sort order ("?C=N;O=D")
+            if (link.origin === page.origin && link.pathname === page.pathname) {
+                continue;
+            }
+
+            links.push(link);
+        }
+
+        return links;
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(point);
+            }
+            return ENTITIES[code] ?? entity;
+        });
+    }
+
+    isInScope(link, start, root, scope) {
+        if (link.origin !== start.origin) {
+            return false;
+        }
+
+        return scope === 'host' || link.pathname.startsWith(root);
+    }
+
+    isPageLink(link) {
+        return link.pathname.endsWith('/') || PAGE_EXTENSIONS.includes(path.posix.extname(link.pathname).toLowerCase());
+    }
+
+    addFile(files, url, root, settings) {
+        const { pathname } = new URL(url);
+        const filename = this.decodePath(path.posix.basename(pathname));
+
+        // Name globs apply to files only, so pages are still followed to reach matching files
+        if (settings.accept.length > 0 && !this.matchesAny(filename, settings.accept)) {
+            return;
+        }
+        if (this.matchesAny(filename, settings.reject)) {
+            return;
+        }
+        if (settings.acceptRegex.length > 0 && !this.matchesAny(url, settings.acceptRegex)) {
+            return;
+        }
+
+        const options = {};
+        const subdirectory = this.getSubdirectory(pathname, root);
+        if (subdirectory) {
+            options.subdirectory = subdirectory;
+        }
+        if (filename) {
+            options.filename = this.fileManager.sanitizeFilename(filename);
+        }
+
+        files.set(url, { url, options });
+    }
+
+    getSubdirectory(pathname, root) {
+        // Directories below the start page are kept; with scope "host" the rest keep their full path
+        const directory = path.posix.dirname(pathname) + '/';
+        const relative = directory.startsWith(root) ? directory.slice(root.length) : directory;
+
+        return relative.split('/')
+            .map(segment => this.decodePath(segment))
+            .filter(segment => segment && segment !== '.' && segment !== '..')
+            .map(segment => this.fileManager.sanitizeFilename(segment))
+            .join(path.sep);
+    }
+
+    decodePath(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch {
+            return segment;
+        }
+    }
+
+    matchesAny(value, patterns) {
+        return patterns.some(pattern => pattern.test(value));
+    }
+
+    async isAllowed(url, settings) {
+        if (!settings.robots) {
+            return true;
+        }
+
+        const { origin, pathname, search } = new URL(url);
+        if (!this.robots.has(origin)) {
+            this.robots.set(origin, this.loadRobots(origin));
+        }
+
+        const robots = await this.robots.get(origin);
+        return robots.isAllowed(pathname + search, settings.userAgent);
+    }
+
+    async loadRobots(origin) {
+        try {
+            return RobotsTxt.parse(await this.httpDownloader.fetchText(`${origin}/robots.txt`));
+        } catch (error) {
+            // No robots.txt (or an unreachable one) places no restrictions
+            this.logger.debug('No robots.txt', { origin, error: error.message });
+            return new RobotsTxt();
+        }
+    }
+
+    static globToRegExp(glob) {
+        // "*" and "?" stay within one path segment, [abc] classes are passed through
+        let pattern = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+
+            if (char === '*') {
+                pattern += '[^/]*';
+            } else if (char === '?') {
+                pattern += '[^/]';
+            } else if (char === '[' && glob.indexOf(']', i + 1) > i + 1) {
+                const end = glob.indexOf(']', i + 1);
+                pattern += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            } else {
+                pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${pattern}$`);
+    }
+
+    static toRegExp(pattern) {
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`Invalid regular expression ${pattern}: ${error.message}`);
+        }
+    }
+}
+
+export default SiteCrawler;
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// What the server reported for each file downloaded with timestamping, keyed by local path,
+// so the next run can send its ETag back and skip the file when nothing changed
+class TimestampStore {
+    constructor(config) {
+        this.config = config;
+        this.storePath = path.join(os.homedir(), '.jsdownloader', 'timestamps.json');
+    }
+
+    read() {
+        try {
+            if (!fs.existsSync(this.storePath)) {
+                return {};
+            }
+            return JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        } catch (error) {
+            // A damaged store only costs one full download of each file
+            return {};
+        }
+    }
+
+    write(records) {
+        const tempPath = `${this.storePath}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(records, null, 2), { mode: 0o600 });
+            fs.renameSync(tempPath, this.storePath);
+        } catch (error) {
+            throw new Error(`Failed to save timestamps: ${error.message}`);
+        }
+    }
+
+    get(filePath) {
+        return this.read()[path.resolve(filePath)] || null;
+    }
+
+    set(filePath, record) {
+        const records = this.read();
+        records[path.resolve(filePath)] = { ...record, updated: new Date().toISOString() };
+        this.write(records);
+    }
+}
+
+export default TimestampStore;
@@ -2,18 +2,32 @@ import WebTorrent from 'webtorrent';
 import path from 'path';
 import fs from 'fs';
 
+// Where torrents are written until they are complete, inside the download directory, unless
+// download.incompleteDirectory names another place
+const INCOMPLETE_DIRECTORY = '.incomplete';
+
 class TorrentDownloader {
-    constructor(config, logger, progressDisplay, fileManager, notifications) {
+    static protocol = {
+        name: 'torrent',
+        schemes: ['magnet:'],
+        destination: 'directory'
+    };
+
+    constructor(config, logger, events, fileManager, bandwidthLimiter) {
         this.config = config;
         this.logger = logger;
-        this.progressDisplay = progressDisplay;
+        this.events = events;
         this.fileManager = fileManager;
-        this.notifications = notifications;
+        this.bandwidthLimiter = bandwidthLimiter;
         this.clients = new Map();
     }
 
     async download(magnetUri, downloadDir, options = {}) {
         const downloadId = `torrent_${Date.now()}_${Math.random()}`;
+        const incompleteDir = path.resolve(
+            downloadDir,
+            this.config.get('download', 'incompleteDirectory') || INCOMPLETE_DIRECTORY
+        );
         
         return new Promise((resolve, reject) => {
             try {
@@ -21,11 +35,23 @@ class TorrentDownloader {
                 
                 const client = new WebTorrent({
                     maxConns: this.config.torrent.maxPeers,
-                    dht: this.config.torrent.dht
+                    dht: this.config.torrent.dht,
+                    uploadLimit: this.bandwidthLimiter.getUploadLimit() || -1
                 });
 
                 this.clients.set(downloadId, client);
 
+                // Pieces already on disk are verified when the torrent is added again, so pausing
+                // only needs to stop the client
+                const onAbort = () => {
+                    this.cleanup(downloadId).then(() => reject(options.signal.reason));
+                };
+                if (options.signal?.aborted) {
+                    onAbort();
+                    return;
+                }
+                options.signal?.addEventListener('abort', onAbort, { once: true });
+
                 client.on('error', (error) => {
                     this.logger.error('WebTorrent client error', { error: error.message });
                     this.cleanup(downloadId);
@@ -33,11 +59,12 @@ class TorrentDownloader {
                 });
 
                 const torrentOptions = {
-                    path: downloadDir
+                    path: incompleteDir
                 };
 
                 client.add(magnetUri, torrentOptions, (torrent) => {
-                    this.handleTorrent(torrent, downloadId, downloadDir, resolve, reject);
+                    options.onDestination?.(path.join(downloadDir, torrent.name), path.join(incompleteDir, torrent.name));
+                    this.handleTorrent(torrent, magnetUri, downloadId, { downloadDir, incompleteDir, options }, resolve, reject);
                 });
 
             } catch (error) {
@@ -47,10 +74,42 @@ class TorrentDownloader {
         });
     }
 
-    handleTorrent(torrent, downloadId, downloadDir, resolve, reject) {
+    handleTorrent(torrent, url, downloadId, { downloadDir, incompleteDir, options }, resolve, reject) {
         const startTime = Date.now();
         let lastProgressUpdate = Date.now();
 
+        // The files move into place once the client has let go of them, after any seeding
+        const finish = async (stats) => {
+            const files = torrent.files.map(f => f.path);
+            await this.cleanup(downloadId);
+
+            try {
+                // Every piece was checked against its hash, but not that it all reached the disk
+                const written = files.reduce((sum, file) => sum + this.fileManager.getFileStats(path.join(incompleteDir, file)).size, 0);
+                if (written !== torrent.length) {
+                    const error = new Error(`Torrent files hold ${written} of ${torrent.length} bytes`);
+                    error.code = 'ETRUNCATED';
+                    throw error;
+                }
+
+                const destination = this.fileManager.moveIntoPlace(
+                    path.join(incompleteDir, torrent.name),
+                    path.join(downloadDir, torrent.name),
+                    options
+                );
+                // Only goes when no other torrent is still in there
+                fs.rmdir(incompleteDir, () => {});
+
+                this.events.emit('complete', { id: downloadId, url, destination, stats });
+                this.logger.logDownloadComplete(torrent.magnetURI, destination, stats);
+                resolve({ stats, destination, files });
+            } catch (error) {
+                this.events.emit('error', { id: downloadId, url, filename: torrent.name, error, aborted: false });
+                this.logger.logDownloadError(torrent.magnetURI, error);
+                reject(error);
+            }
+        };
+
         this.logger.info('Torrent added', {
             infoHash: torrent.infoHash,
             name: torrent.name,
@@ -59,18 +118,18 @@ class TorrentDownloader {
         });
 
         // Initialize progress for the main torrent
-        this.progressDisplay.startDownload(downloadId, torrent.name, torrent.length);
+        this.events.emit('start', { id: downloadId, url, filename: torrent.name, totalSize: torrent.length });
 
         // Handle individual files if there are multiple
         if (torrent.files.length > 1) {
-            this.handleMultipleFiles(torrent, downloadId);
+            this.handleMultipleFiles(torrent, url, downloadId, incompleteDir);
         }
 
         torrent.on('download', (bytes) => {
             const now = Date.now();
-            if (now - lastProgressUpdate >= this.config.progress.updateInterval) {
+            if (now - lastProgressUpdate >= this.config.get('progress', 'updateInterval')) {
                 const progress = (torrent.downloaded / torrent.length) * 100;
-                this.progressDisplay.updateProgress(downloadId, torrent.downloaded, torrent.length);
+                this.events.emit('progress', { id: downloadId, url, downloaded: torrent.downloaded, totalSize: torrent.length });
                 
                 this.logger.logDownloadProgress(torrent.magnetURI, {
                     downloaded: torrent.downloaded,
@@ -89,8 +148,6 @@ class TorrentDownloader {
             const endTime = Date.now();
             const duration = (endTime - startTime) / 1000;
             
-            this.progressDisplay.completeDownload(downloadId);
-            
             const stats = {
                 size: torrent.length,
                 duration,
@@ -99,16 +156,14 @@ class TorrentDownloader {
                 infoHash: torrent.infoHash
             };
 
-            this.notifications.notifyDownloadComplete(torrent.name, stats);
-            this.logger.logDownloadComplete(torrent.magnetURI, downloadDir, stats);
+            this.logger.info('Torrent downloaded', { infoHash: torrent.infoHash, name: torrent.name });
 
             // Handle seeding
-            this.handleSeeding(torrent, downloadId, resolve, stats);
+            this.handleSeeding(torrent, stats, finish);
         });
 
         torrent.on('error', (error) => {
-            this.progressDisplay.errorDownload(downloadId, error.message);
-            this.notifications.notifyDownloadError(torrent.name, error.message);
+            this.events.emit('error', { id: downloadId, url, filename: torrent.name, error, aborted: false });
             this.logger.logDownloadError(torrent.magnetURI, error);
             this.cleanup(downloadId);
             reject(error);
@@ -140,38 +195,47 @@ class TorrentDownloader {
         }, 30000); // Log every 30 seconds
     }
 
-    handleMultipleFiles(torrent, downloadId) {
+    handleMultipleFiles(torrent, url, downloadId, incompleteDir) {
+        const updateInterval = this.config.get('progress', 'updateInterval');
+
         // Create individual progress tracking for each file
         torrent.files.forEach((file, index) => {
             const fileDownloadId = `${downloadId}_file_${index}`;
-            this.progressDisplay.startDownload(fileDownloadId, file.name, file.length);
+            const startTime = Date.now();
+            this.events.emit('start', { id: fileDownloadId, parent: downloadId, url, filename: file.name, totalSize: file.length });
             
             // Monitor individual file progress
             const checkFileProgress = () => {
                 if (torrent.destroyed) return;
                 
                 const downloaded = file.downloaded;
-                this.progressDisplay.updateProgress(fileDownloadId, downloaded, file.length);
+                this.events.emit('progress', { id: fileDownloadId, parent: downloadId, url, downloaded, totalSize: file.length });
                 
                 if (downloaded >= file.length) {
-                    this.progressDisplay.completeDownload(fileDownloadId);
+                    const duration = (Date.now() - startTime) / 1000;
+                    this.events.emit('complete', {
+                        id: fileDownloadId,
+                        parent: downloadId,
+                        url,
+                        destination: path.join(incompleteDir, file.path),
+                        stats: { size: file.length, duration, averageSpeed: file.length / duration }
+                    });
                 } else {
-                    setTimeout(checkFileProgress, this.config.progress.updateInterval);
+                    setTimeout(checkFileProgress, updateInterval);
                 }
             };
             
-            setTimeout(checkFileProgress, this.config.progress.updateInterval);
+            setTimeout(checkFileProgress, updateInterval);
         });
     }
 
-    handleSeeding(torrent, downloadId, resolve, stats) {
+    handleSeeding(torrent, stats, finish) {
         const seedTime = this.config.torrent.seedTime * 60 * 1000; // Convert minutes to milliseconds
         const ratioLimit = this.config.torrent.ratioLimit;
 
         if (seedTime === 0 && ratioLimit === 0) {
             // No seeding required
-            this.cleanup(downloadId);
-            resolve({ stats, files: torrent.files.map(f => f.path) });
+            finish(stats);
             return;
         }
 
@@ -208,8 +272,7 @@ class TorrentDownloader {
             }
 
             if (shouldStopSeeding) {
-                this.cleanup(downloadId);
-                resolve({ stats, files: torrent.files.map(f => f.path) });
+                finish(stats);
             } else {
                 setTimeout(checkSeedingComplete, 5000); // Check every 5 seconds
             }
@@ -218,30 +281,37 @@ class TorrentDownloader {
         setTimeout(checkSeedingComplete, 5000);
     }
 
+    // Destroying a client closes its connections and the files it writes to; resolves once it has
     cleanup(downloadId) {
         const client = this.clients.get(downloadId);
-        if (client) {
-            try {
-                client.destroy();
-            } catch (error) {
-                this.logger.warn('Error destroying torrent client', { error: error.message });
-            }
-            this.clients.delete(downloadId);
+        if (!client) {
+            return Promise.resolve();
         }
+
+        this.clients.delete(downloadId);
+        return this.destroyClient(client, downloadId);
     }
 
     cleanupAll() {
-        for (const [downloadId, client] of this.clients) {
+        const clients = Array.from(this.clients.entries());
+        this.clients.clear();
+        return Promise.all(clients.map(([downloadId, client]) => this.destroyClient(client, downloadId)));
+    }
+
+    destroyClient(client, downloadId) {
+        return new Promise((resolve) => {
             try {
-                client.destroy();
-            } catch (error) {
-                this.logger.warn('Error destroying torrent client during cleanup', { 
-                    downloadId, 
-                    error: error.message 
+                client.destroy((error) => {
+                    if (error) {
+                        this.logger.warn('Error destroying torrent client', { downloadId, error: error.message });
+                    }
+                    resolve();
                 });
+            } catch (error) {
+                this.logger.warn('Error destroying torrent client', { downloadId, error: error.message });
+                resolve();
             }
-        }
-        this.clients.clear();
+        });
     }
 
     static isValidMagnetUri(uri) {
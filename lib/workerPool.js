@@ -0,0 +1,109 @@
+import SchedulingPolicy from './schedulingPolicy.js';
+
+class WorkerPool {
+    constructor(worker, options = {}) {
+        this.worker = worker;
+        this.concurrency = WorkerPool.validateLimit(options.concurrency ?? 1, 'Concurrency', 1);
+        this.getHost = options.getHost || (() => null);
+        this.getPriority = options.getPriority || (() => 'normal');
+        this.policy = new SchedulingPolicy({
+            perHostLimit: WorkerPool.validateLimit(options.perHostLimit ?? 0, 'Per-host limit', 0),
+            hostDelay: options.hostDelay
+        });
+
+        this.pending = [];
+        this.active = 0;
+        this.delayTimer = null;
+    }
+
+    run(items) {
+        // The whole batch is queued before anything starts so priorities apply from the first pick
+        const results = Promise.all(items.map(item => this.enqueue(item)));
+        this.pump();
+        return results;
+    }
+
+    push(item) {
+        const result = this.enqueue(item);
+        this.pump();
+        return result;
+    }
+
+    enqueue(item) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({
+                item,
+                host: this.getHost(item),
+                priority: this.getPriority(item),
+                resolve,
+                reject
+            });
+        });
+    }
+
+    setConcurrency(concurrency) {
+        // Lowering the limit lets running tasks finish, raising it starts waiting ones right away
+        this.concurrency = WorkerPool.validateLimit(concurrency, 'Concurrency', 1);
+        this.pump();
+    }
+
+    setPerHostLimit(perHostLimit) {
+        this.policy.setPerHostLimit(WorkerPool.validateLimit(perHostLimit, 'Per-host limit', 0));
+        this.pump();
+    }
+
+    pump() {
+        clearTimeout(this.delayTimer);
+        this.delayTimer = null;
+
+        while (this.active < this.concurrency) {
+            // Tasks for a host at its limit wait without holding up tasks for other hosts
+            const task = this.policy.pick(this.pending);
+            if (!task) {
+                break;
+            }
+
+            this.pending.splice(this.pending.indexOf(task), 1);
+            this.start(task);
+        }
+
+        // Tasks held back by the politeness delay are tried again once it has passed
+        const delay = this.active < this.concurrency ? this.policy.getNextDelay(this.pending) : null;
+        if (delay !== null) {
+            this.delayTimer = setTimeout(() => this.pump(), delay);
+        }
+    }
+
+    start(task) {
+        this.active++;
+        this.policy.started(task.host);
+
+        Promise.resolve()
+            .then(() => this.worker(task.item))
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                this.active--;
+                this.policy.finished(task.host);
+                this.pump();
+            });
+    }
+
+    getStats() {
+        return {
+            active: this.active,
+            pending: this.pending.length,
+            concurrency: this.concurrency,
+            perHostLimit: this.policy.perHostLimit
+        };
+    }
+
+    static validateLimit(value, name, minimum) {
+        const limit = Number(value);
+        if (!Number.isInteger(limit) || limit < minimum) {
+            throw new Error(`${name} must be a whole number of at least ${minimum}`);
+        }
+        return limit;
+    }
+}
+
+export default WorkerPool;
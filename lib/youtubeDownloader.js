@@ -1,67 +1,79 @@
 import ytdl from 'ytdl-core';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+
+// ytdl marks private, removed and region-blocked videos with an error class it does not export;
+// HTTP failures from its requests carry their status for the retry policy
+const youtubeError = (message, error) => {
+    const wrapped = new Error(`${message}: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.statusCode = error.statusCode;
+    if (error.constructor?.name === 'UnrecoverableError') {
+        wrapped.retryable = false;
+    }
+    return wrapped;
+};
 
 class YoutubeDownloader {
-    constructor(config, logger, progressDisplay, fileManager, notifications) {
+    static protocol = {
+        name: 'youtube',
+        // YouTube links are plain HTTPS URLs, so they are told apart by host
+        matches: url => YoutubeDownloader.isValidYouTubeUrl(url),
+        destination: 'directory'
+    };
+
+    constructor(config, logger, events, fileManager, bandwidthLimiter, retryPolicy) {
         this.config = config;
         this.logger = logger;
-        this.progressDisplay = progressDisplay;
+        this.events = events;
         this.fileManager = fileManager;
-        this.notifications = notifications;
+        this.bandwidthLimiter = bandwidthLimiter;
+        this.retryPolicy = retryPolicy;
     }
 
     async download(url, destination, options = {}) {
         const downloadId = `youtube_${Date.now()}_${Math.random()}`;
+
+        // Named after the video title once its info arrives
+        const target = { destination: null, partPath: null };
         
         try {
             this.logger.logDownloadStart(url, destination);
+            this.bandwidthLimiter.register(downloadId, options.limitRate);
             
-            const result = await this.downloadWithRetry(url, destination, downloadId, options);
+            const result = await this.downloadWithRetry(url, destination, target, downloadId, options);
+            result.destination = await this.fileManager.commitPartFile(target.partPath, target.destination, options, {
+                checksum: result.checksum
+            });
             
-            this.progressDisplay.completeDownload(downloadId);
-            this.notifications.notifyDownloadComplete(path.basename(destination), result.stats);
-            this.logger.logDownloadComplete(url, destination, result.stats);
+            this.events.emit('complete', { id: downloadId, url, destination: result.destination, stats: result.stats });
+            this.logger.logDownloadComplete(url, result.destination, result.stats);
             
             return result;
             
         } catch (error) {
-            this.progressDisplay.errorDownload(downloadId, error.message);
-            this.notifications.notifyDownloadError(path.basename(destination), error.message);
-            this.logger.logDownloadError(url, error);
+            const aborted = Boolean(options.signal?.aborted);
+            this.events.emit('error', { id: downloadId, url, filename: path.basename(destination), error, aborted });
+            if (!aborted) {
+                this.logger.logDownloadError(url, error);
+            }
             throw error;
+        } finally {
+            this.bandwidthLimiter.unregister(downloadId);
+            this.fileManager.releasePartFile(target.partPath);
         }
     }
 
-    async downloadWithRetry(url, destination, downloadId, options = {}) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.config.download.maxRetries; attempt++) {
-            try {
-                return await this.performDownload(url, destination, downloadId, options);
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < this.config.download.maxRetries) {
-                    const delay = this.config.download.retryDelay * Math.pow(2, attempt - 1);
-                    this.logger.warn(`YouTube download attempt ${attempt} failed, retrying in ${delay}ms`, {
-                        url,
-                        error: error.message
-                    });
-                    await this.sleep(delay);
-                } else {
-                    this.logger.error(`All ${this.config.download.maxRetries} YouTube download attempts failed`, {
-                        url,
-                        error: error.message
-                    });
-                }
-            }
-        }
-        
-        throw lastError;
+    async downloadWithRetry(url, destination, target, downloadId, options = {}) {
+        return this.retryPolicy.run(
+            [url],
+            () => this.performDownload(url, destination, target, downloadId, options),
+            { protocol: 'youtube', signal: options.signal, label: 'YouTube download' }
+        );
     }
 
-    async performDownload(url, destination, downloadId, options = {}) {
+    async performDownload(url, destination, target, downloadId, options = {}) {
         return new Promise(async (resolve, reject) => {
             const startTime = Date.now();
             
@@ -71,16 +83,21 @@ class YoutubeDownloader {
                 const title = info.videoDetails.title;
                 const lengthSeconds = parseInt(info.videoDetails.lengthSeconds);
                 
-                // Sanitize title for filename if destination is a directory
-                let finalDestination = destination;
-                if (fs.existsSync(destination) && fs.statSync(destination).isDirectory()) {
-                    const sanitizedTitle = this.sanitizeFilename(title);
-                    const extension = options.format === 'audio' ? '.mp3' : '.mp4';
-                    finalDestination = path.join(destination, sanitizedTitle + extension);
-                }
+                // Sanitize title for filename if destination is a directory; later attempts
+                // write to the part file the first one chose
+                if (!target.partPath) {
+                    target.destination = destination;
+                    if (fs.existsSync(destination) && fs.statSync(destination).isDirectory()) {
+                        const sanitizedTitle = this.sanitizeFilename(title);
+                        const extension = options.format === 'audio' ? '.mp3' : '.mp4';
+                        target.destination = path.join(destination, sanitizedTitle + extension);
+                    }
 
-                // Handle duplicate files
-                finalDestination = this.fileManager.handleDuplicateFile(finalDestination);
+                    target.partPath = this.fileManager.claimPartFile(target.destination, [url]);
+                    options.onDestination?.(target.destination, target.partPath);
+                }
+                const finalDestination = target.destination;
+                const { partPath } = target;
 
                 this.logger.info('Starting YouTube download', {
                     title,
@@ -96,54 +113,77 @@ class YoutubeDownloader {
 
                 // Create download stream
                 const stream = ytdl(url, downloadOptions);
-                const writeStream = fs.createWriteStream(finalDestination);
+                const writeStream = fs.createWriteStream(partPath);
 
+                const hash = options.checksum ? crypto.createHash(options.checksum.algorithm) : null;
                 let downloaded = 0;
                 let totalSize = 0;
                 let lastProgressUpdate = Date.now();
 
-                // Initialize progress display
-                this.progressDisplay.startDownload(downloadId, path.basename(finalDestination), 0);
+                // The size is not known until the stream responds; progress events carry it from then on
+                this.events.emit('start', { id: downloadId, url, filename: path.basename(finalDestination), totalSize: 0 });
 
                 stream.on('response', (response) => {
                     totalSize = parseInt(response.headers['content-length']) || 0;
-                    if (totalSize > 0) {
-                        this.progressDisplay.startDownload(downloadId, path.basename(finalDestination), totalSize);
-                    }
                 });
 
                 stream.on('data', (chunk) => {
                     downloaded += chunk.length;
+                    hash?.update(chunk);
                     
                     // Update progress at configured intervals
                     const now = Date.now();
-                    if (now - lastProgressUpdate >= this.config.progress.updateInterval) {
-                        this.progressDisplay.updateProgress(downloadId, downloaded, totalSize);
+                    if (now - lastProgressUpdate >= this.config.get('progress', 'updateInterval')) {
+                        this.events.emit('progress', { id: downloadId, url, downloaded, totalSize });
                         lastProgressUpdate = now;
                     }
                 });
 
                 stream.on('progress', (chunkLength, downloaded, total) => {
+                    // Responses may cover a range each; this is the size of the whole stream
+                    totalSize = total;
                     const now = Date.now();
-                    if (now - lastProgressUpdate >= this.config.progress.updateInterval) {
-                        this.progressDisplay.updateProgress(downloadId, downloaded, total);
+                    if (now - lastProgressUpdate >= this.config.get('progress', 'updateInterval')) {
+                        this.events.emit('progress', { id: downloadId, url, downloaded, totalSize: total });
                         lastProgressUpdate = now;
                     }
                 });
 
                 stream.on('error', (error) => {
                     writeStream.destroy();
-                    reject(new Error(`YouTube stream error: ${error.message}`));
+                    reject(youtubeError('YouTube stream error', error));
                 });
 
+                // Streams from ytdl cannot be continued, so a paused download starts over
+                const onAbort = () => {
+                    stream.destroy();
+                    writeStream.destroy();
+                    fs.rmSync(partPath, { force: true });
+                    reject(options.signal.reason);
+                };
+                if (options.signal?.aborted) {
+                    onAbort();
+                    return;
+                }
+                options.signal?.addEventListener('abort', onAbort, { once: true });
+                writeStream.on('close', () => options.signal?.removeEventListener('abort', onAbort));
+
                 writeStream.on('error', (error) => {
-                    reject(new Error(`Write error: ${error.message}`));
+                    reject(youtubeError('Write error', error));
                 });
 
                 writeStream.on('finish', () => {
+                    // The stream cannot be continued, so a short file starts over
+                    try {
+                        this.fileManager.checkPartFile(partPath, totalSize);
+                    } catch (error) {
+                        reject(error);
+                        return;
+                    }
+
                     const endTime = Date.now();
                     const duration = (endTime - startTime) / 1000;
-                    const finalSize = fs.statSync(finalDestination).size;
+                    const finalSize = fs.statSync(partPath).size;
                     
                     const stats = {
                         size: finalSize,
@@ -153,13 +193,13 @@ class YoutubeDownloader {
                         videoLength: lengthSeconds
                     };
                     
-                    resolve({ stats, destination: finalDestination });
+                    resolve({ stats, checksum: hash?.digest('hex') });
                 });
 
-                stream.pipe(writeStream);
+                stream.pipe(this.bandwidthLimiter.throttle(downloadId)).pipe(writeStream);
 
             } catch (error) {
-                reject(new Error(`YouTube info error: ${error.message}`));
+                reject(youtubeError('YouTube info error', error));
             }
         });
     }
@@ -197,10 +237,6 @@ class YoutubeDownloader {
         }
     }
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     static isValidYouTubeUrl(url) {
         try {
             const urlObj = new URL(url);
@@ -0,0 +1,167 @@
+import BatchParser from '../lib/batchParser.js';
+import FileManager from '../lib/fileManager.js';
+import { createConfig, createLogger, createProtocolRegistry } from './helpers.js';
+
+const createParser = () => {
+    const logger = createLogger();
+    const parser = new BatchParser(new FileManager(createConfig()), logger, createProtocolRegistry());
+    return { parser, logger };
+};
+
+describe('BatchParser', () => {
+    describe('detectFormat', () => {
+        const { parser } = createParser();
+
+        test.each([
+            ['json', '[ "http://a/x" ]'],
+            ['json', '\uFEFF{ "downloads": [] }'],
+            ['yaml', '# list\n- http://a/x\n'],
+            ['yaml', 'downloads:\n  - url: http://a/x\n'],
+            ['csv', 'url,out\nhttp://a/x,x.bin\n'],
+            ['text', 'http://a/x\n  out=x.bin\n'],
+            ['metalink', '<?xml version="1.0"?>\n<metalink xmlns="urn:ietf:params:xml:ns:metalink"></metalink>']
+        ])('detects %s', (format, content) => {
+            expect(parser.detectFormat(content)).toBe(format);
+        });
+    });
+
+    describe('text format', () => {
+        test('reads tab-separated mirrors and indented options', () => {
+            const { parser } = createParser();
+            const [record] = parser.parse('http://a/x.iso\thttp://b/x.iso\n  out=disk.iso\n  checksum=sha-256=' + 'ab'.repeat(32) + '\n');
+
+            expect(record.url).toBe('http://a/x.iso');
+            expect(record.options).toEqual({
+                filename: 'disk.iso',
+                checksum: { algorithm: 'sha256', digest: 'ab'.repeat(32) },
+                mirrors: ['http://b/x.iso']
+            });
+        });
+
+        test('reads inline annotations and strips quotes from URLs', () => {
+            const { parser } = createParser();
+            const [record] = parser.parse('"http://a/x.bin" out=y.bin priority=high\n');
+
+            expect(record).toEqual({ url: 'http://a/x.bin', options: { filename: 'y.bin', priority: 'high' } });
+        });
+
+        test('parses indented lines that are not options as URLs', () => {
+            const { parser, logger } = createParser();
+            const records = parser.parse('  http://a/one?x=1\n\thttp://a/two\n    out=two.bin\n');
+
+            expect(records).toEqual([
+                { url: 'http://a/one?x=1', options: {} },
+                { url: 'http://a/two', options: { filename: 'two.bin' } }
+            ]);
+            expect(logger.warnings()).toEqual([]);
+        });
+
+        test('skips comments, options without a URL and unsupported URLs', () => {
+            const { parser, logger } = createParser();
+            const records = parser.parse('  out=orphan.bin\n# comment\n// comment\nmailto:someone@example.com\nhttp://a/x\n');
+
+            expect(records).toEqual([{ url: 'http://a/x', options: {} }]);
+            expect(logger.warnings()).toEqual(['Option line without a URL skipped', 'Invalid URL skipped']);
+        });
+
+        test('keeps output names and directories inside the download directory', () => {
+            const { parser, logger } = createParser();
+            const [record] = parser.parse('http://a/x\n  out=../../etc/passwd\n  dir=../outside\n  header=Referer: http://a/\n');
+
+            expect(record.options).toEqual({ filename: 'passwd', headers: { Referer: 'http://a/' } });
+            expect(logger.warnings()).toEqual(['Invalid option ignored']);
+        });
+    });
+
+    describe('manifests', () => {
+        test('reads JSON downloads with mirrors and headers', () => {
+            const { parser } = createParser();
+            const records = parser.parse(JSON.stringify({
+                downloads: [
+                    'http://a/plain',
+                    { url: 'http://a/x', mirrors: 'ftp://b/x', out: 'x.bin', headers: { Cookie: 'a=b' }, md5: 'cd'.repeat(16) }
+                ]
+            }));
+
+            expect(records).toEqual([
+                { url: 'http://a/plain', options: {} },
+                {
+                    url: 'http://a/x',
+                    options: {
+                        filename: 'x.bin',
+                        headers: { Cookie: 'a=b' },
+                        checksum: { algorithm: 'md5', digest: 'cd'.repeat(16) },
+                        mirrors: ['ftp://b/x']
+                    }
+                }
+            ]);
+        });
+
+        test('reads YAML lists', () => {
+            const { parser } = createParser();
+            const records = parser.parse('- http://a/one\n- url: http://a/two\n  dir: sub/dir\n  priority: low\n');
+
+            expect(records).toEqual([
+                { url: 'http://a/one', options: {} },
+                { url: 'http://a/two', options: { subdirectory: 'sub/dir', priority: 'low' } }
+            ]);
+        });
+
+        test('rejects a manifest without a downloads list', () => {
+            const { parser } = createParser();
+            expect(() => parser.parse('{ "files": [] }')).toThrow('Manifest must be a list of downloads');
+            expect(() => parser.parse('[ "http://a/x", ')).toThrow('Invalid JSON manifest');
+        });
+    });
+
+    test('reads CSV with quoted values and a mirrors column', () => {
+        const { parser } = createParser();
+        const records = parser.parse('url,out,mirrors\n"http://a/x?a=1,2","my, file.bin",http://b/x http://c/x\n');
+
+        expect(records).toEqual([{
+            url: 'http://a/x?a=1,2',
+            options: { filename: 'my,_file.bin', mirrors: ['http://b/x', 'http://c/x'] }
+        }]);
+    });
+
+    test('turns metalink files into downloads with mirrors, size, checksum and pieces', () => {
+        const { parser } = createParser();
+        const records = parser.parse(`<?xml version="1.0" encoding="UTF-8"?>
+<metalink xmlns="urn:ietf:params:xml:ns:metalink">
+  <file name="iso/disk.iso">
+    <size>5</size>
+    <hash type="sha-256">${'ef'.repeat(32)}</hash>
+    <pieces type="sha-1" length="4">
+      <hash>${'01'.repeat(20)}</hash>
+      <hash>${'02'.repeat(20)}</hash>
+    </pieces>
+    <url priority="2">http://b/disk.iso</url>
+    <url priority="1">http://a/disk.iso</url>
+  </file>
+</metalink>`);
+
+        expect(records).toEqual([{
+            url: 'http://a/disk.iso',
+            options: {
+                filename: 'disk.iso',
+                subdirectory: 'iso',
+                checksum: { algorithm: 'sha256', digest: 'ef'.repeat(32) },
+                size: 5,
+                pieces: { algorithm: 'sha1', length: 4, hashes: ['01'.repeat(20), '02'.repeat(20)] },
+                mirrors: ['http://b/disk.iso']
+            }
+        }]);
+    });
+
+    test('drops piece hashes that do not cover the file', () => {
+        const { parser, logger } = createParser();
+        const [record] = parser.parse(JSON.stringify([{
+            url: 'http://a/x',
+            size: 100,
+            pieces: { algorithm: 'sha1', length: 10, hashes: ['01'.repeat(20)] }
+        }]));
+
+        expect(record.options).toEqual({ size: 100 });
+        expect(logger.warnings()).toEqual(['Piece hashes do not cover the file, ignored']);
+    });
+});
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import FileManager from '../lib/fileManager.js';
+import { createConfig, createTempDir } from './helpers.js';
+
+describe('FileManager', () => {
+    const fileManager = new FileManager(createConfig());
+
+    describe('parseContentDisposition', () => {
+        test.each([
+            ['attachment; filename=report.pdf', 'report.pdf'],
+            ['attachment; filename="my \\"best\\" file.txt"', 'my "best" file.txt'],
+            ['attachment; filename="fallback.pdf"; filename*=UTF-8\'\'%E2%82%AC%20rates.pdf', '€ rates.pdf'],
+            ['attachment; filename*=iso-8859-1\'en\'%A3%20rates.pdf', '£ rates.pdf'],
+            ['attachment; FILENAME="upper.bin"', 'upper.bin'],
+            ['attachment; filename*=unknown\'\'x.bin; filename=plain.bin', 'plain.bin'],
+            ['inline', null],
+            [undefined, null]
+        ])('%s', (header, filename) => {
+            expect(fileManager.parseContentDisposition(header)).toBe(filename);
+        });
+    });
+
+    describe('resolveFilename', () => {
+        test('prefers the Content-Disposition name without its directories', () => {
+            expect(fileManager.resolveFilename('http://a/download?id=1', {
+                'content-disposition': 'attachment; filename=..\\..\\evil.exe'
+            })).toBe('evil.exe');
+            expect(fileManager.resolveFilename('http://a/download?id=1', {
+                'content-disposition': 'attachment; filename="../my file.txt"'
+            })).toBe('my_file.txt');
+        });
+
+        test('falls back to the URL for names that point outside the directory', () => {
+            expect(fileManager.resolveFilename('http://a/files/data.csv', {
+                'content-disposition': 'attachment; filename=".."'
+            })).toBe('data.csv');
+        });
+
+        test('borrows an extension from the Content-Type', () => {
+            expect(fileManager.resolveFilename('http://a/report', { 'content-type': 'application/pdf' })).toBe('report.pdf');
+            expect(fileManager.resolveFilename('http://a/blob', { 'content-type': 'application/octet-stream' })).toBe('blob');
+        });
+    });
+
+    describe('parseChecksum', () => {
+        test.each([
+            ['sha256:' + 'AB'.repeat(32), null, { algorithm: 'sha256', digest: 'ab'.repeat(32) }],
+            ['sha-1=' + 'cd'.repeat(20), null, { algorithm: 'sha1', digest: 'cd'.repeat(20) }],
+            ['ef'.repeat(16), null, { algorithm: 'md5', digest: 'ef'.repeat(16) }],
+            ['01'.repeat(64), null, { algorithm: 'sha512', digest: '01'.repeat(64) }],
+            ['abcdef', 'md5', { algorithm: 'md5', digest: 'abcdef' }]
+        ])('%s', (value, algorithm, expected) => {
+            expect(fileManager.parseChecksum(value, algorithm)).toEqual(expected);
+        });
+
+        test('rejects values it cannot read', () => {
+            expect(() => fileManager.parseChecksum('crc32:1234')).toThrow('Invalid checksum');
+            expect(() => fileManager.parseChecksum('abcdef')).toThrow('Cannot determine checksum algorithm');
+        });
+    });
+
+    test('parseChecksumList reads GNU and BSD lines', () => {
+        const checksums = fileManager.parseChecksumList([
+            '# SHA256SUMS',
+            `${'aa'.repeat(32)}  disk.iso`,
+            `${'bb'.repeat(16)} *dir/binary.bin`,
+            `SHA1 (notes.txt) = ${'cc'.repeat(20)}`,
+            'not a checksum line',
+            ''
+        ].join('\n'));
+
+        expect(Object.fromEntries(checksums)).toEqual({
+            'disk.iso': { algorithm: 'sha256', digest: 'aa'.repeat(32) },
+            'binary.bin': { algorithm: 'md5', digest: 'bb'.repeat(16) },
+            'notes.txt': { algorithm: 'sha1', digest: 'cc'.repeat(20) }
+        });
+    });
+
+    describe('part files', () => {
+        let dir;
+        let destination;
+
+        beforeEach(() => {
+            dir = createTempDir();
+            destination = path.join(dir, 'file.bin');
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('continues the part file of the same URL or a mirror of it', () => {
+            const manager = new FileManager(createConfig());
+            fs.writeFileSync(`${destination}.part`, 'partial');
+            manager.createResumeInfo(`${destination}.part`, 'http://b/file.bin', 100);
+
+            expect(manager.claimPartFile(destination, ['http://a/file.bin', 'http://b/file.bin'])).toBe(`${destination}.part`);
+        });
+
+        test('leaves part files of other downloads alone', () => {
+            const manager = new FileManager(createConfig());
+            fs.writeFileSync(`${destination}.part`, 'partial');
+            manager.createResumeInfo(`${destination}.part`, 'http://other/file.bin', 100);
+
+            const first = manager.claimPartFile(destination, ['http://a/file.bin']);
+            const second = manager.claimPartFile(destination, ['http://a/file.bin']);
+            expect(first).toBe(path.join(dir, 'file.bin (1).part'));
+            expect(second).toBe(path.join(dir, 'file.bin (2).part'));
+
+            manager.releasePartFile(first);
+            expect(manager.claimPartFile(destination, ['http://a/file.bin'])).toBe(first);
+        });
+
+        test('puts part files in the incomplete directory', () => {
+            const config = createConfig();
+            config.set('download', 'incompleteDirectory', '.incomplete');
+
+            expect(new FileManager(config).claimPartFile(destination)).toBe(path.join(dir, '.incomplete', 'file.bin.part'));
+        });
+
+        test('moves a finished part file into place beside an existing file', async () => {
+            const partPath = `${destination}.part`;
+            fs.writeFileSync(destination, 'old');
+            fs.writeFileSync(partPath, 'new');
+            fileManager.createResumeInfo(partPath, 'http://a/file.bin', 3);
+
+            const finalPath = await fileManager.commitPartFile(partPath, destination);
+
+            expect(finalPath).toBe(path.join(dir, 'file (1).bin'));
+            expect(fs.readFileSync(finalPath, 'utf8')).toBe('new');
+            expect(fs.readdirSync(dir).sort()).toEqual(['file (1).bin', 'file.bin']);
+        });
+
+        test('keeps a part file that fails verification', async () => {
+            const partPath = `${destination}.part`;
+            fs.writeFileSync(partPath, 'bad');
+            const verify = async () => ({ message: 'Checksum mismatch' });
+
+            await expect(fileManager.commitPartFile(partPath, destination, { verify })).rejects.toMatchObject({
+                code: 'EVERIFY',
+                message: 'Checksum mismatch for file.bin',
+                partPath
+            });
+            expect(fs.readdirSync(dir)).toEqual(['file.bin.part']);
+        });
+    });
+
+    describe('checkPartFile', () => {
+        let dir;
+        let partPath;
+
+        beforeEach(() => {
+            dir = createTempDir();
+            partPath = path.join(dir, 'file.bin.part');
+            fs.writeFileSync(partPath, Buffer.alloc(10));
+            fileManager.createResumeInfo(partPath, 'http://a/file.bin', 20);
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('accepts a file of the expected size', () => {
+            expect(() => fileManager.checkPartFile(partPath, 10)).not.toThrow();
+        });
+
+        test('records how much arrived when the transfer ended early', () => {
+            expect(() => fileManager.checkPartFile(partPath, 20)).toThrow(expect.objectContaining({ code: 'ETRUNCATED' }));
+            expect(fileManager.getResumeInfo(partPath).downloadedSize).toBe(10);
+        });
+
+        test('drops the resume info of a file that grew past the size', () => {
+            expect(() => fileManager.checkPartFile(partPath, 5)).toThrow(expect.objectContaining({ code: 'ESIZE' }));
+            expect(fileManager.getResumeInfo(partPath)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import FTP from 'ftp';
+import FtpDownloader from '../lib/ftpDownloader.js';
+import FileManager from '../lib/fileManager.js';
+import BandwidthLimiter from '../lib/bandwidthLimiter.js';
+import RetryPolicy from '../lib/retryPolicy.js';
+import DownloadEvents from '../lib/downloadEvents.js';
+import { createConfig, createLogger, createTempDir } from './helpers.js';
+
+const body = Buffer.from('ftp data '.repeat(1000));
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// Just enough of an FTP server for one passive-mode RETR per connection
+const createFtpServer = () => net.createServer((control) => {
+    let passive = null;
+    let dataSocket = null;
+    let onDataSocket = null;
+    let buffer = '';
+
+    control.on('error', () => {});
+    control.on('close', () => passive?.close());
+    control.write('220 ready\r\n');
+
+    control.on('data', (data) => {
+        buffer += data;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const [command] = buffer.slice(0, index).split(' ');
+            buffer = buffer.slice(index + 2);
+
+            if (command === 'USER') {
+                control.write('331 password please\r\n');
+            } else if (command === 'PASS') {
+                control.write('230 logged in\r\n');
+            } else if (command === 'SIZE') {
+                control.write(`213 ${body.length}\r\n`);
+            } else if (command === 'PASV') {
+                passive = net.createServer((socket) => {
+                    dataSocket = socket;
+                    onDataSocket?.();
+                });
+                listen(passive).then((port) => {
+                    control.write(`227 Entering Passive Mode (127,0,0,1,${port >> 8},${port & 255})\r\n`);
+                });
+            } else if (command === 'RETR') {
+                const send = () => {
+                    control.write('150 sending\r\n');
+                    dataSocket.end(body, () => control.write('226 done\r\n'));
+                };
+                if (dataSocket) {
+                    send();
+                } else {
+                    onDataSocket = send;
+                }
+            } else if (command === 'QUIT') {
+                control.end('221 bye\r\n');
+            } else {
+                control.write('200 ok\r\n');
+            }
+        }
+    });
+});
+
+// An HTTP proxy that only tunnels, and records where to
+const createProxy = (targets) => {
+    const proxy = http.createServer((req, res) => res.writeHead(405).end());
+
+    proxy.on('connect', (req, socket) => {
+        targets.push(req.url);
+        const [host, port] = req.url.split(':');
+        const upstream = net.connect(parseInt(port, 10), host, () => {
+            socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.pipe(socket).pipe(upstream);
+        });
+        upstream.on('error', () => socket.destroy());
+        socket.on('error', () => upstream.destroy());
+    });
+
+    return proxy;
+};
+
+describe('FtpDownloader', () => {
+    // The proxy support replaces this internal method of the pinned ftp package
+    test('the ftp package still connects passive data sockets through _pasvConnect', () => {
+        expect(typeof FTP.prototype._pasvConnect).toBe('function');
+        expect(FTP.prototype._pasvConnect).toHaveLength(3);
+    });
+
+    describe('through a proxy', () => {
+        const targets = [];
+        let ftpServer;
+        let proxy;
+        let ftpPort;
+        let proxyPort;
+        let dir;
+
+        beforeAll(async () => {
+            ftpServer = createFtpServer();
+            proxy = createProxy(targets);
+            ftpPort = await listen(ftpServer);
+            proxyPort = await listen(proxy);
+        });
+
+        afterAll(() => {
+            ftpServer.close();
+            proxy.closeAllConnections();
+            proxy.close();
+        });
+
+        beforeEach(() => {
+            dir = createTempDir();
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('tunnels the control and data connections', async () => {
+            const config = createConfig();
+            config.set('protocols', 'ftp', { ...config.get('protocols', 'ftp'), proxy: `http://127.0.0.1:${proxyPort}` });
+            config.set('protocols', 'http', { ...config.get('protocols', 'http'), noProxy: '' });
+            const logger = createLogger();
+            const events = new DownloadEvents();
+            const downloader = new FtpDownloader(config, logger, events, new FileManager(config),
+                new BandwidthLimiter(config), new RetryPolicy(config, logger, events));
+
+            const destination = path.join(dir, 'file.txt');
+            const result = await downloader.download(`ftp://127.0.0.1:${ftpPort}/file.txt`, destination);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(targets).toHaveLength(2);
+            expect(targets[0]).toBe(`127.0.0.1:${ftpPort}`);
+            expect(targets[1]).not.toBe(targets[0]);
+        });
+    });
+});
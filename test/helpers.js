@@ -0,0 +1,36 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ConfigManager from '../lib/config.js';
+import ProtocolRegistry from '../lib/protocolRegistry.js';
+
+// The shipped defaults; tests change what they need with config.set()
+export const createConfig = () => new ConfigManager(fileURLToPath(new URL('../config/default.yaml', import.meta.url)));
+
+// Keeps what was logged so tests can check warnings instead of printing them
+export const createLogger = () => {
+    const entries = [];
+    const log = level => (message, meta = {}) => entries.push({ level, message, meta });
+
+    return {
+        entries,
+        warnings: () => entries.filter(entry => entry.level === 'warn').map(entry => entry.message),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        debug: log('debug'),
+        logDownloadStart() {},
+        logDownloadComplete() {},
+        logDownloadError() {}
+    };
+};
+
+// Accepts the schemes the built-in downloaders handle, without their dependencies
+export const createProtocolRegistry = (schemes = ['http:', 'https:', 'ftp:', 'sftp:']) => {
+    const registry = new ProtocolRegistry();
+    registry.register({ name: 'test', schemes, downloader: { download() {} } });
+    return registry;
+};
+
+export const createTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'jsdownloader-test-'));
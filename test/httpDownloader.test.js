@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import HttpDownloader from '../lib/httpDownloader.js';
+import FileManager from '../lib/fileManager.js';
+import BandwidthLimiter from '../lib/bandwidthLimiter.js';
+import RetryPolicy from '../lib/retryPolicy.js';
+import DownloadEvents from '../lib/downloadEvents.js';
+import { createConfig, createLogger, createTempDir } from './helpers.js';
+
+const SIZE = 64 * 1024;
+const body = Buffer.alloc(SIZE);
+for (let i = 0; i < SIZE; i++) {
+    body[i] = i % 251;
+}
+
+// Serves the body with byte ranges and records the Range header of every request. On
+// /slow.bin a bounded range from the first byte trickles in, so other connections finish first;
+// /bad-digest.bin announces the digest of other content. On /truncated.bin the first response
+// for each segment end stops after 4 KB; /capped-segments.bin answers bounded ranges with 8 KB,
+// /capped.bin every range with 16 KB.
+const startServer = () => new Promise((resolve) => {
+    const ranges = [];
+    const truncated = new Set();
+
+    const server = http.createServer((req, res) => {
+        ranges.push(req.headers.range || null);
+
+        const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (!match) {
+            res.writeHead(200, { 'Content-Length': SIZE });
+            res.end(body);
+            return;
+        }
+
+        const start = parseInt(match[1], 10);
+        let end = match[2] ? Math.min(parseInt(match[2], 10), SIZE - 1) : SIZE - 1;
+        if (start >= SIZE) {
+            res.writeHead(416, { 'Content-Range': `bytes */${SIZE}` });
+            res.end();
+            return;
+        }
+
+        if (req.url === '/capped-segments.bin' && match[2]) {
+            end = Math.min(end, start + 8191);
+        } else if (req.url === '/capped.bin') {
+            end = Math.min(end, start + 16383);
+        }
+
+        const data = body.subarray(start, end + 1);
+        const digest = crypto.createHash('sha256').update(req.url === '/bad-digest.bin' ? 'other' : body).digest('base64');
+        const headers = {
+            'Content-Range': `bytes ${start}-${end}/${SIZE}`,
+            'ETag': '"v1"',
+            'Digest': `sha-256=${digest}`
+        };
+
+        if (req.url === '/truncated.bin' && match[2] && !truncated.has(end)) {
+            // Announced in full by Content-Range, but the body ends cleanly after part of it
+            truncated.add(end);
+            res.writeHead(206, headers);
+            res.end(data.subarray(0, 4096));
+            return;
+        }
+
+        res.writeHead(206, { 'Content-Length': data.length, ...headers });
+
+        if (req.url !== '/slow.bin' || start !== 0 || !match[2]) {
+            res.end(data);
+            return;
+        }
+
+        let offset = 0;
+        const timer = setInterval(() => {
+            res.write(data.subarray(offset, offset + 1024));
+            offset += 1024;
+            if (offset >= data.length) {
+                clearInterval(timer);
+                res.end();
+            }
+        }, 10);
+        res.on('close', () => clearInterval(timer));
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        resolve({ server, ranges, url: name => `http://127.0.0.1:${server.address().port}/${name}` });
+    });
+});
+
+const createDownloader = () => {
+    const config = createConfig();
+    config.set('download', 'connections', 4);
+    config.set('download', 'chunkSize', 12000);
+    config.set('download', 'retryDelay', 1);
+    config.set('protocols', 'http', { ...config.get('protocols', 'http'), noProxy: '127.0.0.1' });
+
+    const logger = createLogger();
+    const events = new DownloadEvents();
+    return new HttpDownloader(config, logger, events, new FileManager(config),
+        new BandwidthLimiter(config), new RetryPolicy(config, logger, events));
+};
+
+describe('HttpDownloader', () => {
+    describe('planSegments', () => {
+        const downloader = createDownloader();
+
+        test('splits the file into one segment per connection', () => {
+            expect(downloader.planSegments(48000, 4)).toEqual([
+                { start: 0, end: 11999, downloaded: 0 },
+                { start: 12000, end: 23999, downloaded: 0 },
+                { start: 24000, end: 35999, downloaded: 0 },
+                { start: 36000, end: 47999, downloaded: 0 }
+            ]);
+        });
+
+        test('keeps segments at least one chunk long', () => {
+            const segments = downloader.planSegments(40000, 8);
+
+            expect(segments).toHaveLength(3);
+            expect(segments[0].start).toBe(0);
+            expect(segments[2].end).toBe(39999);
+            expect(downloader.planSegments(20000, 4)).toEqual([]);
+        });
+    });
+
+    describe('takeSegment', () => {
+        const downloader = createDownloader();
+        const running = (start, end, downloaded, transferred) => ({
+            start, end, downloaded, active: true, inFlight: 0, transferred, startedAt: Date.now() - 1000
+        });
+
+        test('prefers a segment nobody is working on', () => {
+            const segments = [running(0, 9999, 100, 100), { start: 10000, end: 19999, downloaded: 0 }];
+
+            expect(downloader.takeSegment(segments)).toBe(segments[1]);
+            expect(segments[1].active).toBe(true);
+        });
+
+        test('takes over the back half of the slowest segment', () => {
+            const fast = running(0, 99999, 50000, 50000);
+            const slow = running(100000, 199999, 20000, 20000);
+            const segments = [fast, slow];
+
+            const stolen = downloader.takeSegment(segments);
+
+            expect(stolen).toEqual({ start: 160000, end: 199999, downloaded: 0, active: true });
+            expect(slow.end).toBe(159999);
+            expect(segments).toEqual([fast, slow, stolen]);
+        });
+
+        test('leaves segments with less than two chunks to go', () => {
+            const segments = [running(0, 99999, 90000, 90000)];
+
+            expect(downloader.takeSegment(segments)).toBeNull();
+            expect(segments[0].end).toBe(99999);
+        });
+    });
+
+    describe('download', () => {
+        let server;
+        let dir;
+
+        beforeAll(async () => {
+            server = await startServer();
+        });
+
+        afterAll(() => {
+            server.server.closeAllConnections();
+            server.server.close();
+        });
+
+        beforeEach(() => {
+            dir = createTempDir();
+            server.ranges.length = 0;
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('fetches a file in segments', async () => {
+            const result = await createDownloader().download(server.url('file.bin'), dir);
+
+            expect(result.destination).toBe(path.join(dir, 'file.bin'));
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(result.stats.segments).toBe(4);
+            expect(server.ranges.sort()).toEqual([
+                'bytes=0-', 'bytes=0-16383', 'bytes=16384-32767', 'bytes=32768-49151', 'bytes=49152-65535'
+            ]);
+            expect(fs.readdirSync(dir)).toEqual(['file.bin']);
+        });
+
+        test('splits the slowest segment when a connection runs out of work', async () => {
+            const downloader = createDownloader();
+            downloader.config.set('download', 'connections', 2);
+
+            const result = await downloader.download(server.url('slow.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(result.stats.segments).toBeGreaterThan(2);
+
+            const starts = server.ranges.map(range => parseInt(/^bytes=(\d+)/.exec(range)[1], 10));
+            expect(starts.some(start => start > 0 && start < 32768)).toBe(true);
+        });
+
+
+        test('fetches again what a segment response left out', async () => {
+            const result = await createDownloader().download(server.url('truncated.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(server.ranges.filter(range => range === 'bytes=4096-16383')).toHaveLength(1);
+        });
+
+        test('does not take a range that stops short for the whole segment', async () => {
+            const downloader = createDownloader();
+            downloader.config.set('download', 'maxRetries', 1);
+
+            await expect(downloader.download(server.url('capped-segments.bin'), dir)).rejects.toMatchObject({ code: 'ESHORTRANGE' });
+            expect(fs.readdirSync(dir)).not.toContain('capped-segments.bin');
+        });
+        test('resumes each segment where it stopped', async () => {
+            const partPath = path.join(dir, 'file.bin.part');
+            const segments = [
+                { start: 0, end: 32767, downloaded: 10000 },
+                { start: 32768, end: 65535, downloaded: 32768 }
+            ];
+
+            // What an interrupted run leaves: the written ranges in place, the rest still zero
+            const partial = Buffer.alloc(SIZE);
+            for (const segment of segments) {
+                body.copy(partial, segment.start, segment.start, segment.start + segment.downloaded);
+            }
+            fs.writeFileSync(partPath, partial);
+            fs.writeFileSync(`${partPath}.resume`, JSON.stringify({
+                url: server.url('file.bin'),
+                totalSize: SIZE,
+                downloadedSize: 42768,
+                etag: '"v1"',
+                segments
+            }));
+
+            const result = await createDownloader().download(server.url('file.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(server.ranges).toEqual(['bytes=0-', 'bytes=10000-32767']);
+            expect(fs.readdirSync(dir)).toEqual(['file.bin']);
+        });
+
+
+        test('continues after a range that ends before the file does', async () => {
+            const downloader = createDownloader();
+            downloader.config.set('download', 'connections', 1);
+
+            const result = await downloader.download(server.url('capped.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(server.ranges).toEqual(['bytes=0-', 'bytes=16384-', 'bytes=32768-', 'bytes=49152-']);
+        });
+
+        test('does not split a file whose server caps its ranges', async () => {
+            const result = await createDownloader().download(server.url('capped.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(result.stats.segments).toBeUndefined();
+        });
+        test('commits a part file that is already complete', async () => {
+            const partPath = path.join(dir, 'file.bin.part');
+            fs.writeFileSync(partPath, body);
+            fs.writeFileSync(`${partPath}.resume`, JSON.stringify({ url: server.url('file.bin'), totalSize: SIZE, etag: '"v1"' }));
+
+            const result = await createDownloader().download(server.url('file.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+            expect(server.ranges).toEqual(['bytes=0-']);
+        });
+
+        test('starts over when the part file belongs to another version', async () => {
+            const partPath = path.join(dir, 'file.bin.part');
+            fs.writeFileSync(partPath, Buffer.alloc(1000, 1));
+            fs.writeFileSync(`${partPath}.resume`, JSON.stringify({ url: server.url('file.bin'), totalSize: SIZE, etag: '"v0"' }));
+
+            const downloader = createDownloader();
+            downloader.config.set('download', 'connections', 1);
+            const result = await downloader.download(server.url('file.bin'), dir);
+
+            expect(fs.readFileSync(result.destination).equals(body)).toBe(true);
+        });
+
+        test('removes a file that does not match the server digest', async () => {
+            const downloader = createDownloader();
+            downloader.config.set('download', 'maxRetries', 1);
+
+            await expect(downloader.download(server.url('bad-digest.bin'), dir)).rejects.toMatchObject({ code: 'EDIGEST' });
+            expect(fs.readdirSync(dir)).toEqual([]);
+        });
+    });
+});
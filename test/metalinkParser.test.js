@@ -0,0 +1,93 @@
+import MetalinkParser from '../lib/metalinkParser.js';
+
+describe('MetalinkParser', () => {
+    const parser = new MetalinkParser();
+
+    test('recognizes metalink documents only', () => {
+        expect(MetalinkParser.isMetalink('<?xml version="1.0"?>\n<!-- mirrors -->\n<metalink version="3.0">')).toBe(true);
+        expect(MetalinkParser.isMetalink('<ml:metalink xmlns:ml="urn:ietf:params:xml:ns:metalink">')).toBe(true);
+        expect(MetalinkParser.isMetalink('<?xml version="1.0"?>\n<rss></rss>')).toBe(false);
+        expect(MetalinkParser.isMetalink('http://example.com/metalink')).toBe(false);
+    });
+
+    test('reads version 4 files ordered by priority', () => {
+        const files = parser.parse(`<?xml version="1.0" encoding="UTF-8"?>
+<metalink xmlns="urn:ietf:params:xml:ns:metalink">
+  <file name="a &amp; b.iso">
+    <size>1024</size>
+    <hash type="md5">${'AA'.repeat(16)}</hash>
+    <hash type="sha-256">${'bb'.repeat(32)}</hash>
+    <hash type="whirlpool">cc</hash>
+    <url priority="3">http://c/file</url>
+    <url>http://d/file</url>
+    <url priority="1"><![CDATA[http://a/file?x=1&y=2]]></url>
+    <url priority="1">http://b/file</url>
+    <metaurl mediatype="torrent">http://a/file.torrent</metaurl>
+  </file>
+  <file name="second.txt">
+    <url>ftp://e/second.txt</url>
+  </file>
+</metalink>`);
+
+        expect(files).toEqual([
+            {
+                name: 'a & b.iso',
+                size: 1024,
+                hashes: [
+                    { algorithm: 'md5', digest: 'aa'.repeat(16) },
+                    { algorithm: 'sha256', digest: 'bb'.repeat(32) }
+                ],
+                pieces: [],
+                urls: [
+                    { url: 'http://a/file?x=1&y=2', rank: 1 },
+                    { url: 'http://b/file', rank: 1 },
+                    { url: 'http://c/file', rank: 3 },
+                    { url: 'http://d/file', rank: Infinity }
+                ]
+            },
+            { name: 'second.txt', size: null, hashes: [], pieces: [], urls: [{ url: 'ftp://e/second.txt', rank: Infinity }] }
+        ]);
+    });
+
+    test('reads version 3 files ordered by preference, without torrents', () => {
+        const [file] = parser.parse(`<metalink version="3.0" xmlns="http://www.metalinker.org/">
+  <files>
+    <file name="x.bin">
+      <verification>
+        <hash type="sha1">${'11'.repeat(20)}</hash>
+        <pieces type="sha1" length="262144">
+          <hash piece="0">${'22'.repeat(20)}</hash>
+          <hash piece="1">${'33'.repeat(20)}</hash>
+        </pieces>
+      </verification>
+      <resources>
+        <url type="http" preference="50">http://low/x.bin</url>
+        <url type="bittorrent" preference="100">http://a/x.torrent</url>
+        <url type="http" preference="90">http://high/x.bin</url>
+      </resources>
+    </file>
+  </files>
+</metalink>`);
+
+        expect(file.hashes).toEqual([{ algorithm: 'sha1', digest: '11'.repeat(20) }]);
+        expect(file.pieces).toEqual([{ algorithm: 'sha1', length: 262144, hashes: ['22'.repeat(20), '33'.repeat(20)] }]);
+        expect(file.urls.map(entry => entry.url)).toEqual(['http://high/x.bin', 'http://low/x.bin']);
+    });
+
+    test('rejects documents it cannot use', () => {
+        expect(() => parser.parse('<rss></rss>')).toThrow('no <metalink> element');
+        expect(() => parser.parse('<metalink><file><url>http://a/x</url></file></metalink>')).toThrow('<file> without a name');
+        expect(() => parser.parse('<metalink><file name="x"><size>-1</size></file></metalink>')).toThrow('bad file size');
+    });
+
+    test('picks the strongest supported hash', () => {
+        expect(MetalinkParser.normalizeAlgorithm('SHA-512')).toBe('sha512');
+        expect(MetalinkParser.normalizeAlgorithm('crc32')).toBeNull();
+        expect(MetalinkParser.strongest([
+            { algorithm: 'md5', digest: 'a' },
+            { algorithm: 'sha256', digest: 'b' },
+            { algorithm: 'sha1', digest: 'c' }
+        ])).toEqual({ algorithm: 'sha256', digest: 'b' });
+        expect(MetalinkParser.strongest([])).toBeNull();
+    });
+});
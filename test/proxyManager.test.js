@@ -0,0 +1,52 @@
+import http from 'http';
+import net from 'net';
+import ProxyManager from '../lib/proxyManager.js';
+import { createConfig } from './helpers.js';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+describe('ProxyManager', () => {
+    describe('createRelay', () => {
+        let target;
+        let proxy;
+        let proxyPort;
+        let targetPort;
+
+        beforeAll(async () => {
+            target = net.createServer(socket => socket.end('hello'));
+            proxy = http.createServer();
+            proxy.on('connect', (req, socket) => {
+                const upstream = net.connect(targetPort, '127.0.0.1', () => {
+                    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+                    upstream.pipe(socket).pipe(upstream);
+                });
+                socket.on('error', () => upstream.destroy());
+            });
+            targetPort = await listen(target);
+            proxyPort = await listen(proxy);
+        });
+
+        afterAll(() => {
+            target.close();
+            proxy.closeAllConnections();
+            proxy.close();
+        });
+
+        const read = port => new Promise((resolve, reject) => {
+            const socket = net.connect(port, '127.0.0.1');
+            let data = '';
+            socket.on('data', (chunk) => { data += chunk; });
+            socket.on('end', () => resolve(data));
+            socket.on('error', reject);
+        });
+
+        test('tunnels one connection and then stops listening', async () => {
+            const manager = new ProxyManager(createConfig());
+            const relay = await manager.createRelay(new URL(`http://127.0.0.1:${proxyPort}`), '127.0.0.1', targetPort);
+
+            expect(await read(relay.port)).toBe('hello');
+            await expect(read(relay.port)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+            relay.close();
+        });
+    });
+});
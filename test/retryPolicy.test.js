@@ -0,0 +1,145 @@
+import RetryPolicy from '../lib/retryPolicy.js';
+import { createConfig, createLogger } from './helpers.js';
+
+const failure = (fields) => Object.assign(new Error('failed'), fields);
+
+const createPolicy = () => {
+    const config = createConfig();
+    config.set('download', 'maxRetries', 3);
+    config.set('download', 'retryDelay', 1);
+    config.set('retry', 'jitter', 0);
+    return new RetryPolicy(config, createLogger(), null);
+};
+
+describe('RetryPolicy', () => {
+    describe('isRetryable', () => {
+        const policy = createPolicy();
+
+        test.each([
+            [{ statusCode: 500 }, true],
+            [{ statusCode: 503 }, true],
+            [{ statusCode: 501 }, false],
+            [{ statusCode: 505 }, false],
+            [{ statusCode: 404 }, false],
+            [{ statusCode: 403 }, false],
+            [{ statusCode: 408 }, true],
+            [{ statusCode: 429 }, true],
+            [{ code: 'ECONNRESET' }, true],
+            [{ code: 'ETIMEDOUT' }, true],
+            [{ code: 'ENOTFOUND' }, false],
+            [{ code: 'ENOSPC' }, false],
+            [{ code: 'ERR_BAD_AUTH' }, false],
+            [{}, true],
+            [{ statusCode: 503, retryable: false }, false],
+            [{ code: 'ENOENT', retryable: true }, true]
+        ])('%o is retryable: %s', (fields, expected) => {
+            expect(policy.isRetryable(failure(fields))).toBe(expected);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        test('reads seconds and HTTP dates', () => {
+            expect(RetryPolicy.parseRetryAfter('120')).toBe(120000);
+            expect(RetryPolicy.parseRetryAfter(' 0 ')).toBe(0);
+
+            const later = RetryPolicy.parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+            expect(later).toBeGreaterThan(55000);
+            expect(later).toBeLessThanOrEqual(60000);
+
+            expect(RetryPolicy.parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT')).toBe(0);
+        });
+
+        test('ignores missing and unreadable values', () => {
+            expect(RetryPolicy.parseRetryAfter(undefined)).toBeNull();
+            expect(RetryPolicy.parseRetryAfter('')).toBeNull();
+            expect(RetryPolicy.parseRetryAfter('soon')).toBeNull();
+        });
+    });
+
+    test('getDelay backs off exponentially up to maxDelay and never undercuts Retry-After', () => {
+        const policy = createPolicy();
+        const settings = { retryDelay: 1000, jitter: 0, maxDelay: 60000 };
+
+        expect(policy.getDelay(1, [failure({})], settings)).toBe(1000);
+        expect(policy.getDelay(3, [failure({})], settings)).toBe(4000);
+        expect(policy.getDelay(10, [failure({})], settings)).toBe(60000);
+        expect(policy.getDelay(1, [failure({ retryAfter: '30' })], settings)).toBe(30000);
+        expect(policy.getDelay(1, [failure({ retryAfter: '300' })], settings)).toBe(300000);
+    });
+
+    describe('run', () => {
+        test('retries retryable errors until the operation succeeds', async () => {
+            const policy = createPolicy();
+            let calls = 0;
+
+            const result = await policy.run(['http://a/x'], async () => {
+                calls++;
+                if (calls < 3) {
+                    throw failure({ code: 'ECONNRESET' });
+                }
+                return 'done';
+            });
+
+            expect(result).toBe('done');
+            expect(calls).toBe(3);
+        });
+
+        test('gives up at once on a fatal error', async () => {
+            const policy = createPolicy();
+            let calls = 0;
+
+            await expect(policy.run(['http://a/x'], async () => {
+                calls++;
+                throw failure({ statusCode: 404 });
+            })).rejects.toMatchObject({ statusCode: 404 });
+            expect(calls).toBe(1);
+        });
+
+        test('gives up when the server asks to wait longer than maxDelay', async () => {
+            const policy = createPolicy();
+            let calls = 0;
+
+            await expect(policy.run(['http://a/x'], async () => {
+                calls++;
+                throw failure({ statusCode: 429, retryAfter: '300' });
+            })).rejects.toMatchObject({ statusCode: 429 });
+            expect(calls).toBe(1);
+        });
+
+        test('tries the mirrors before waiting', async () => {
+            const policy = createPolicy();
+            const tried = [];
+
+            const result = await policy.run(['http://a/x', 'http://b/x'], async (source) => {
+                tried.push(source);
+                if (source === 'http://a/x') {
+                    throw failure({ statusCode: 404 });
+                }
+                return source;
+            });
+
+            expect(result).toBe('http://b/x');
+            expect(tried).toEqual(['http://a/x', 'http://b/x']);
+        });
+
+        test('pauses a host after repeated failures and lets a mirror stand in', async () => {
+            const policy = createPolicy();
+            policy.config.set('retry', 'hostFailures', 3);
+            const tried = [];
+
+            await expect(policy.run(['http://a/x'], async (source) => {
+                tried.push(source);
+                throw failure({ statusCode: 503 });
+            })).rejects.toMatchObject({ statusCode: 503 });
+            expect(policy.isHostAvailable('http://a/other')).toBe(false);
+
+            const result = await policy.run(['http://a/x', 'http://b/x'], async (source) => {
+                tried.push(source);
+                return source;
+            });
+
+            expect(result).toBe('http://b/x');
+            expect(tried).toEqual(['http://a/x', 'http://a/x', 'http://a/x', 'http://b/x']);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+import RobotsTxt from '../lib/robotsTxt.js';
+
+describe('RobotsTxt', () => {
+    const robots = RobotsTxt.parse([
+        '# example',
+        'User-agent: *',
+        'Disallow: /private/',
+        'Allow: /private/public/',
+        'Disallow: /*.pdf$',
+        '',
+        'User-agent: JS-Downloader',
+        'User-agent: OtherBot',
+        'Disallow: /downloads/   # too big',
+        'Allow: /downloads/small',
+        '',
+        'User-agent: EmptyBot',
+        'Disallow:'
+    ].join('\r\n'));
+
+    test('applies the wildcard group to unknown agents', () => {
+        expect(robots.isAllowed('/index.html', 'Mozilla/5.0')).toBe(true);
+        expect(robots.isAllowed('/private/notes', 'Mozilla/5.0')).toBe(false);
+        expect(robots.isAllowed('/downloads/big.iso', 'Mozilla/5.0')).toBe(true);
+    });
+
+    test('lets the longest matching rule win', () => {
+        expect(robots.isAllowed('/private/public/file', 'Mozilla/5.0')).toBe(true);
+    });
+
+    test('matches wildcards and end anchors', () => {
+        expect(robots.isAllowed('/docs/manual.pdf', 'Mozilla/5.0')).toBe(false);
+        expect(robots.isAllowed('/docs/manual.pdf.html', 'Mozilla/5.0')).toBe(true);
+    });
+
+    test('applies only the group naming the agent, by its product token', () => {
+        expect(robots.isAllowed('/downloads/big.iso', 'JS-Downloader/2.0.0')).toBe(false);
+        expect(robots.isAllowed('/downloads/small.zip', 'JS-Downloader/2.0.0')).toBe(true);
+        expect(robots.isAllowed('/private/notes', 'JS-Downloader/2.0.0')).toBe(true);
+        expect(robots.isAllowed('/downloads/big.iso', 'OtherBot')).toBe(false);
+    });
+
+    test('treats an empty Disallow as allowing everything', () => {
+        expect(robots.isAllowed('/private/notes', 'EmptyBot/1.0')).toBe(true);
+    });
+
+    test('prefers Allow when rules of the same length match', () => {
+        const tie = RobotsTxt.parse('User-agent: *\nDisallow: /page\nAllow: /page\n');
+        expect(tie.isAllowed('/page', 'any')).toBe(true);
+    });
+
+    test('always allows robots.txt itself', () => {
+        expect(RobotsTxt.parse('User-agent: *\nDisallow: /\n').isAllowed('/robots.txt', 'any')).toBe(true);
+    });
+});
@@ -0,0 +1,93 @@
+import SchedulingPolicy from '../lib/schedulingPolicy.js';
+
+describe('SchedulingPolicy', () => {
+    test('holds back a host once it reaches its limit', () => {
+        const policy = new SchedulingPolicy({ perHostLimit: 2 });
+        const candidates = [
+            { host: 'a.com', priority: 'normal' },
+            { host: 'a.com', priority: 'normal' },
+            { host: 'a.com', priority: 'normal' },
+            { host: 'b.com', priority: 'normal' }
+        ];
+
+        policy.started('a.com');
+        policy.started('a.com');
+
+        expect(policy.isReady('a.com')).toBe(false);
+        expect(policy.pick(candidates)).toBe(candidates[3]);
+
+        policy.finished('a.com');
+        expect(policy.isReady('a.com')).toBe(true);
+    });
+
+    test('has no per-host limit by default', () => {
+        const policy = new SchedulingPolicy();
+
+        for (let i = 0; i < 10; i++) {
+            policy.started('a.com');
+        }
+
+        expect(policy.isReady('a.com')).toBe(true);
+    });
+
+    test('applies a changed limit to running downloads', () => {
+        const policy = new SchedulingPolicy();
+        policy.started('a.com');
+
+        policy.setPerHostLimit(1);
+        expect(policy.isReady('a.com')).toBe(false);
+
+        policy.setPerHostLimit(0);
+        expect(policy.isReady('a.com')).toBe(true);
+    });
+
+    test('picks by priority, then the host served longest ago', () => {
+        const policy = new SchedulingPolicy();
+        const low = { host: 'c.com', priority: 'low' };
+        const first = { host: 'a.com', priority: 'normal' };
+        const second = { host: 'b.com', priority: 'normal' };
+        const high = { host: 'a.com', priority: 'high' };
+
+        expect(policy.pick([low, first, second, high])).toBe(high);
+
+        policy.started('a.com');
+        expect(policy.pick([low, first, second])).toBe(second);
+
+        policy.started('b.com');
+        expect(policy.pick([low, first, second])).toBe(first);
+    });
+
+    test('spaces out starts on one host by the politeness delay', () => {
+        const policy = new SchedulingPolicy({ hostDelay: 1000 });
+        const candidates = [{ host: 'a.com', priority: 'normal' }];
+
+        policy.started('a.com', 5000);
+        policy.finished('a.com');
+
+        expect(policy.pick(candidates, 5400)).toBeNull();
+        expect(policy.getNextDelay(candidates, 5400)).toBe(600);
+        expect(policy.pick(candidates, 6000)).toBe(candidates[0]);
+        expect(policy.getNextDelay(candidates, 6000)).toBeNull();
+    });
+
+    test('does not wait on the delay of a host that is at its limit', () => {
+        const policy = new SchedulingPolicy({ perHostLimit: 1, hostDelay: 1000 });
+        policy.started('a.com', 5000);
+
+        expect(policy.getNextDelay([{ host: 'a.com', priority: 'normal' }], 5400)).toBeNull();
+    });
+
+    test('always schedules downloads without a host', () => {
+        const policy = new SchedulingPolicy({ perHostLimit: 1, hostDelay: 1000 });
+        policy.started(null);
+        policy.started(null);
+
+        expect(policy.isReady(null)).toBe(true);
+    });
+
+    test('normalizes priorities', () => {
+        expect(SchedulingPolicy.normalizePriority(undefined)).toBe('normal');
+        expect(SchedulingPolicy.normalizePriority('HIGH')).toBe('high');
+        expect(() => SchedulingPolicy.normalizePriority('urgent')).toThrow('Invalid priority: urgent');
+    });
+});